@@ -1,26 +1,364 @@
+// Spacing presets for the density attribute. gap and padding are the card grid's, in px, and seed
+// the virtual window arithmetic until the rendered grid can be measured
+const DENSITY_PRESETS = {
+    compact: { cellPadding: '6px 8px', cardPadding: 10, fieldGap: 4, gap: 8, padding: 8 },
+    comfortable: { cellPadding: '12px 8px', cardPadding: 16, fieldGap: 8, gap: 16, padding: 16 },
+    spacious: { cellPadding: '16px 12px', cardPadding: 24, fieldGap: 12, gap: 24, padding: 24 }
+};
+
+// Color tokens per theme. The unprefixed names predate the --swivel-* tokens and are kept so existing overrides still apply
+const THEME_TOKENS = {
+    light: {
+        'color-scheme': 'light',
+        '--primary-color': '#007acc',
+        '--border-color': '#e1e5e9',
+        '--hover-color': '#f8f9fa',
+        '--text-color': '#24292f',
+        '--star-color': '#fbbf24',
+        '--selected-color': '#e7f3fd',
+        '--swivel-background': 'transparent',
+        '--swivel-surface': '#ffffff',
+        '--swivel-surface-alt': '#f6f8fa',
+        '--swivel-header-hover-color': '#eaeef2',
+        '--swivel-row-border-color': '#f1f3f4',
+        '--swivel-muted-color': '#656d76',
+        '--swivel-accent-hover-color': '#0056a3',
+        '--swivel-accent-contrast-color': '#ffffff',
+        '--swivel-star-empty-color': '#e1e5e9',
+        '--swivel-placeholder-border-color': '#d1d9e0',
+        '--swivel-skeleton-color': '#eaeef2',
+        '--swivel-error-color': '#d1242f',
+        '--swivel-disabled-color': '#6c757d',
+        '--swivel-shadow': '0 4px 12px rgba(0, 0, 0, 0.1)'
+    },
+    dark: {
+        'color-scheme': 'dark',
+        '--primary-color': '#4493f8',
+        '--border-color': '#30363d',
+        '--hover-color': '#161b22',
+        '--text-color': '#e6edf3',
+        '--star-color': '#e3b341',
+        '--selected-color': '#1f3a5f',
+        '--swivel-background': '#0d1117',
+        '--swivel-surface': '#0d1117',
+        '--swivel-surface-alt': '#161b22',
+        '--swivel-header-hover-color': '#21262d',
+        '--swivel-row-border-color': '#21262d',
+        '--swivel-muted-color': '#8d96a0',
+        '--swivel-accent-hover-color': '#539bf5',
+        '--swivel-accent-contrast-color': '#ffffff',
+        '--swivel-star-empty-color': '#30363d',
+        '--swivel-placeholder-border-color': '#3d444d',
+        '--swivel-skeleton-color': '#21262d',
+        '--swivel-error-color': '#f85149',
+        '--swivel-disabled-color': '#484f58',
+        '--swivel-shadow': '0 4px 12px rgba(0, 0, 0, 0.4)'
+    }
+};
+
+// Theme-independent tokens. Color aliases resolve through the legacy names above
+const BASE_TOKENS = {
+    '--swivel-accent-color': 'var(--primary-color)',
+    '--swivel-border-color': 'var(--border-color)',
+    '--swivel-hover-color': 'var(--hover-color)',
+    '--swivel-text-color': 'var(--text-color)',
+    '--swivel-star-color': 'var(--star-color)',
+    '--swivel-selected-color': 'var(--selected-color)',
+    '--swivel-header-background': 'var(--swivel-surface-alt)',
+    '--swivel-font-family': "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+    '--swivel-font-size': 'inherit',
+    '--swivel-radius': '6px',
+    '--swivel-card-radius': '8px',
+    '--swivel-max-height': '600px'
+};
+
+// Column types formatted with Intl and sorted on their raw values
+const NUMERIC_TYPES = ['number', 'currency', 'percent'];
+const DATE_TYPES = ['date', 'datetime'];
+
+// Narrowest width a column can be resized to, in px
+const MIN_COLUMN_WIDTH = 40;
+
+// Places a column can take in a grid card besides a "Label: value" field
+const CARD_ROLES = ['title', 'subtitle', 'badge', 'footer', 'hidden'];
+
+// Where the card's image column goes: above the body, beside it, or behind it
+const CARD_IMAGE_POSITIONS = ['top', 'left', 'background'];
+
+// Skeleton rows or cards shown after the last row while the next page loads
+const LOADING_SKELETON_COUNT = 3;
+
+// Built-in column aggregates and the message keys of the labels shown next to their values
+const AGGREGATE_MESSAGES = { sum: 'aggregateSum', avg: 'aggregateAvg', min: 'aggregateMin', max: 'aggregateMax', count: 'aggregateCount' };
+
+// Built-in strings. Values are text with {name} placeholders, or plural forms keyed by Intl.PluralRules
+// category (and exact "=n" matches) for messages that take a count
+const DEFAULT_MESSAGES = {
+    emptyTitle: 'No data available',
+    emptyDescription: 'Add schema and rows to display content.',
+    noMatchesTitle: 'No matching results',
+    noMatchesDescription: 'Try a different search or clear the filters.',
+    loadMore: 'Load More',
+    loadingMore: 'Loading more...',
+    scrollToLoadMore: 'Scroll to load more content',
+    ratingLabel: 'Rating: {value} out of {max}',
+    invalidRating: 'Invalid rating',
+    invalidValue: 'Invalid {type}',
+    noImage: 'No image',
+    imageFailed: 'Image failed to load',
+    selectAll: 'Select all rows',
+    selectRow: 'Select row',
+    selectItem: 'Select item',
+    details: 'Details',
+    columns: 'Columns',
+    visibleColumns: 'Visible columns',
+    summary: 'Summary',
+    sortPriority: '(sort priority {priority}, {direction})',
+    sortAscending: 'ascending',
+    sortDescending: 'descending',
+    groupCount: { one: '({count} row)', other: '({count} rows)' },
+    aggregateSum: 'Sum',
+    aggregateAvg: 'Average',
+    aggregateMin: 'Min',
+    aggregateMax: 'Max',
+    aggregateCount: 'Count',
+    aggregateOf: '{aggregate} of {label}',
+    invalidNumber: 'Enter a valid number',
+    invalidEdit: 'Invalid value'
+};
+
+// Message bundles by lowercase locale tag. Extended with SwivelGrid.registerLocale()
+const LOCALE_MESSAGES = new Map([['en', DEFAULT_MESSAGES]]);
+
+// Layouts by layout-type name, called with the grid as `this` and a layout context. Extended with
+// SwivelGrid.registerLayout(); the built-ins can't be replaced. Skeletons, group headers and group
+// summaries are optional and fall back to the grid's cards
+const LAYOUTS = new Map(Object.entries({
+    table: {
+        render() { return this._renderTable(); },
+        renderAppended(rows, firstIndex) { return rows.map((row, i) => this._renderTableItem(row, firstIndex + i)).join(''); },
+        renderSkeleton(index, attributes) { return this._renderTableSkeleton(index, attributes); },
+        renderGroupHeader(group, toggle) { return this._renderTableGroupHeader(group, toggle); },
+        renderGroupSummary(group) { return this._renderTableGroupSummary(group); }
+    },
+    grid: {
+        render() { return this._renderGrid(); },
+        renderAppended(rows, firstIndex) { return rows.map((row, i) => this._renderGridItem(row, firstIndex + i)).join(''); }
+    },
+    list: {
+        render() { return this._renderList(); },
+        renderAppended(rows, firstIndex) { return rows.map((row, i) => this._renderListItem(row, firstIndex + i)).join(''); },
+        renderSkeleton(index, attributes) { return this._renderListSkeleton(attributes); }
+    },
+    masonry: {
+        render() { return this._renderMasonry(); },
+        renderAppended(rows, firstIndex) { return rows.map((row, i) => this._renderGridItem(row, firstIndex + i)).join(''); }
+    }
+}));
+const BUILT_IN_LAYOUTS = [...LAYOUTS.keys()];
+
+// Element widths in px from which layout-type="auto" shows each layout
+const DEFAULT_LAYOUT_BREAKPOINTS = { grid: 0, table: 600 };
+
+// Data source pages kept for reuse across sort and search changes
+const PAGE_CACHE_SIZE = 50;
+
+// Template pipe formatters, called with the grid as `this`. Extended with SwivelGrid.registerFormatter()
+const TEMPLATE_FORMATTERS = new Map(Object.entries({
+    upper: value => (value === null || value === undefined ? value : String(value).toUpperCase()),
+    lower: value => (value === null || value === undefined ? value : String(value).toLowerCase()),
+    trim: value => (value === null || value === undefined ? value : String(value).trim()),
+    truncate(value, length = 50, suffix = '…') {
+        const text = value === null || value === undefined ? '' : String(value);
+        return text.length > length ? text.slice(0, length) + suffix : text;
+    },
+    default: (value, fallback = '') => (value === null || value === undefined || value === '' ? fallback : value),
+    number(value, digits) {
+        const options = digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+        return this._formatTemplateValue(value, 'number', options);
+    },
+    currency(value, currency = 'USD') {
+        return this._formatTemplateValue(value, 'number', { style: 'currency', currency });
+    },
+    percent(value, digits = 0) {
+        return this._formatTemplateValue(value, 'number', { style: 'percent', maximumFractionDigits: digits });
+    },
+    date(value, style = 'medium') {
+        return this._formatTemplateValue(value, 'date', { dateStyle: style });
+    },
+    datetime(value, style = 'medium') {
+        return this._formatTemplateValue(value, 'date', { dateStyle: style, timeStyle: 'short' });
+    },
+    // Blanks URLs whose scheme isn't in sanitizerConfig.allowedUrlSchemes
+    safeUrl(value) {
+        return this._toSafeUrl(value);
+    }
+}));
+const BUILT_IN_FORMATTERS = [...TEMPLATE_FORMATTERS.keys()];
+
+// Comparison operators available in template expressions
+const TEMPLATE_COMPARATORS = {
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b,
+    '==': (a, b) => a == b,
+    '!=': (a, b) => a != b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b
+};
+
+// Characters escaped in interpolated values
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Template sanitizer allowlist, overridable per key through the sanitizerConfig property
+const DEFAULT_SANITIZER_CONFIG = {
+    allowedTags: [
+        'a', 'abbr', 'b', 'br', 'button', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'i', 'img', 'input', 'ins', 'kbd', 'label', 'li', 'mark', 'meter', 'ol', 'p', 'pre',
+        'progress', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'ul'
+    ],
+    allowedAttributes: [
+        'alt', 'checked', 'class', 'datetime', 'dir', 'disabled', 'height', 'href', 'lang', 'loading',
+        'max', 'min', 'name', 'rel', 'role', 'src', 'style', 'target', 'title', 'type', 'value', 'width',
+        'aria-*', 'data-*'
+    ],
+    urlAttributes: ['href', 'src', 'cite', 'poster'],
+    allowedUrlSchemes: ['http', 'https', 'mailto', 'tel']
+};
+
+// Disallowed tags removed together with their content; others are unwrapped
+const DROPPED_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math', 'frame', 'frameset'];
+
+// Path segments templates may not read, so they can't reach prototypes
+const BLOCKED_TEMPLATE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
 class SwivelGrid extends HTMLElement {
     static get observedAttributes() {
-        return ['layout-type', 'schema', 'rows', 'search-input'];
+        return ['layout-type', 'schema', 'rows', 'search-input', 'virtual', 'selection-mode', 'locale', 'column-chooser', 'group-by', 'persist-key', 'sync-url', 'row-key', 'theme', 'density', 'card-image-position', 'card-image-ratio', 'dir', 'layout-breakpoints'];
+    }
+
+    static registerFormatter(name, fn) {
+        if (typeof name !== 'string' || !/^[A-Za-z_$][\w$]*$/.test(name) || typeof fn !== 'function') {
+            console.warn('SwivelGrid: registerFormatter() needs a name and a function.');
+            return;
+        }
+        if (BUILT_IN_FORMATTERS.includes(name)) {
+            console.warn(`SwivelGrid: The built-in "${name}" formatter can't be replaced.`);
+            return;
+        }
+        TEMPLATE_FORMATTERS.set(name, fn);
+    }
+
+    // Adds or extends the message bundle for a locale. "pt" covers "pt-BR" unless "pt-BR" has its own entry
+    static registerLocale(locale, messages) {
+        if (typeof locale !== 'string' || !locale || !messages || typeof messages !== 'object') {
+            console.warn('SwivelGrid: registerLocale() needs a locale tag and a messages object.');
+            return;
+        }
+        const tag = locale.toLowerCase();
+        LOCALE_MESSAGES.set(tag, { ...LOCALE_MESSAGES.get(tag), ...messages });
+    }
+
+    // Adds a layout for layout-type. render() returns the layout's markup with the items inside an
+    // element marked data-items; renderAppended() returns the markup of rows added after it.
+    // renderSkeleton(), renderGroupHeader() and renderGroupSummary() are optional
+    static registerLayout(name, layout) {
+        if (typeof name !== 'string' || !name || typeof layout?.render !== 'function' || typeof layout.renderAppended !== 'function') {
+            console.warn('SwivelGrid: registerLayout() needs a name and an object with render() and renderAppended() functions.');
+            return;
+        }
+        if (BUILT_IN_LAYOUTS.includes(name)) {
+            console.warn(`SwivelGrid: The built-in "${name}" layout can't be replaced.`);
+            return;
+        }
+        LAYOUTS.set(name, {
+            render: layout.render,
+            renderAppended: layout.renderAppended,
+            getVisibleRange: typeof layout.getVisibleRange === 'function' ? layout.getVisibleRange : null,
+            renderSkeleton: typeof layout.renderSkeleton === 'function' ? layout.renderSkeleton : null,
+            renderGroupHeader: typeof layout.renderGroupHeader === 'function' ? layout.renderGroupHeader : null,
+            renderGroupSummary: typeof layout.renderGroupSummary === 'function' ? layout.renderGroupSummary : null
+        });
     }
 
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
         
-        // Internal state
+        // Internal state. _layoutType is the layout shown; _layoutMode is what layout-type asks for,
+        // which "auto" resolves against _layoutBreakpoints and the element's width. _initialLayoutMode
+        // is the one the page set up, which synced URLs leave out
         this._layoutType = 'grid';
+        this._layoutMode = 'grid';
+        this._initialLayoutMode = null;
+        this._layoutBreakpoints = this._normalizeLayoutBreakpoints(DEFAULT_LAYOUT_BREAKPOINTS);
+        this._width = 0;
+        this._widthObserver = null;
         this._schema = [];
         this._rows = [];
+        this._rowIndex = null;
+        this._indexedRows = null;
         this._searchInput = null;
+        this._locale = undefined;
+        
+        // Intl formatters per column, rebuilt when the locale changes
+        this._formatters = new WeakMap();
+        this._templateFormatters = new Map();
+        this._collator = null;
+        this._pluralRules = null;
+        
+        // Per-instance message overrides, checked before the locale bundles
+        this._messages = {};
+        
+        // Compiled header and cell templates per column
+        this._templates = new WeakMap();
+        this._templateSources = new WeakMap();
+        this._sanitizerConfig = this._normalizeSanitizerConfig(null);
+        
+        // Node-based cells - light-DOM <template slot="cell:key"> elements, placeholders waiting for
+        // their nodes, and mounted nodes by row (null for the table header) and slot for recycling
+        this._slotTemplates = new Map();
+        this._bindingCache = new Map();
+        this._pendingNodeSlots = new Map();
+        this._nextNodeSlotId = 0;
+        this._mountedNodes = new Map();
+        this._lightDomObserver = null;
+        this._masonryObserver = null;
+        
+        // Master-detail - the detail renderer or template, expanded rows, and the row each rendered
+        // detail row or card panel belongs to
+        this._detailRenderer = null;
+        this._detailTemplate = null;
+        this._detailTemplateRender = null;
+        this._expandedRows = new WeakSet();
+        this._detailOwners = new WeakMap();
+        this._warnedVirtualDetails = false;
         
         // Property precedence tracking
         this._propSet = {
             schema: false,
             rows: false,
             layoutType: false,
-            searchInput: false
+            searchInput: false,
+            virtual: false,
+            selectionMode: false,
+            locale: false,
+            columnChooser: false,
+            groupBy: false,
+            persistKey: false,
+            syncUrl: false,
+            rowKey: false,
+            theme: false,
+            density: false,
+            cardImagePosition: false,
+            cardImageRatio: false,
+            layoutBreakpoints: false
         };
         
+        // Ordered list of { key, direction } - first entry is the primary sort
+        this._sortModel = [];
+        
         // Property handlers
         this._sortHandler = null;
         this._pageUpHandler = null;
@@ -37,6 +375,86 @@ class SwivelGrid extends HTMLElement {
         this._lastTriggeredPage = 0;
         this._intersectionObserver = null;
         
+        // Rows pending a page - gaps before an out-of-order page and evicted pages - by the page they
+        // hold open, and the pages whose placeholders were reported in view by swivel:pageMissing
+        this._placeholderRows = new WeakMap();
+        this._missingPages = new Set();
+        
+        // Windowed paging - pages kept in memory (null = all) and pages asked of loadMoreCallback that haven't arrived
+        this._maxPages = null;
+        this._requestedPages = new Set();
+        
+        // Server data adapter - requests are tagged with a generation so stale responses are dropped
+        this._dataSource = null;
+        this._dataGeneration = 0;
+        this._pendingPages = new Map();
+        this._loadedPages = new Set();
+        this._pageCache = new Map();
+        
+        // Row identity for the keyed update methods - a property name or a function of the row
+        this._rowKey = null;
+        
+        // Theming - color palette (light, dark or auto to follow prefers-color-scheme), spacing preset
+        // and the card gap and grid padding measured from the rendered grid
+        this._theme = 'light';
+        this._density = 'comfortable';
+        this._gridSpacing = null;
+        
+        // Card anatomy - image position, image aspect ratio (null = the image's own) and the compiled cardTemplate
+        this._cardImagePosition = 'top';
+        this._cardImageRatio = null;
+        this._cardTemplate = null;
+        this._cardTemplateRender = null;
+        
+        // State persistence - localStorage key, URL parameter prefix (null = off) and a scroll restore in progress
+        this._persistKey = null;
+        this._syncUrl = null;
+        this._pendingScroll = null;
+        this._persistTimer = null;
+        
+        // Client-side filtering state
+        this._query = '';
+        this._filters = {};
+        this._warnedPaginatedFilter = false;
+        this._viewRows = [];
+        
+        // Virtualized rendering - only the visible window plus overscan is in the DOM
+        this._virtual = false;
+        this._rowHeight = 48;
+        this._cardHeight = 320;
+        this._overscan = 5;
+        this._virtualRange = null;
+        this._virtualOffset = 0;
+        this._resizeObserver = null;
+        
+        // Selection is tracked by row object, never by DOM state, so it survives render()
+        this._selectionMode = 'none';
+        this._selection = new Set();
+        this._selectionAnchor = null;
+        
+        // Roving tabindex position - row is a view index (-1 = table header), col a cell index
+        this._focusPosition = { row: -1, col: 0 };
+        
+        // Active inline editor: { row, column, cell, editor }
+        this._editing = null;
+        
+        // User column layout: [{ key, width, hidden }] in display order, kept apart from the schema
+        this._columnState = [];
+        this._columnChooser = false;
+        this._dragColumnKey = null;
+        
+        // Row grouping - collapsed groups are remembered by path so they survive render()
+        this._groupBy = [];
+        this._groups = new Map();
+        this._groupIds = new Map();
+        this._collapsedGroups = new Set();
+        this._warnedPaginatedGrouping = false;
+        this._warnedGroupedVirtual = false;
+        
+        // Running aggregate state per column key; server values replace it while paginated
+        this._aggregates = new Map();
+        this._serverAggregates = {};
+        
         // Internal bindings
         this._searchInputListener = null;
         this._scrollContainer = null;
@@ -49,6 +467,7 @@ class SwivelGrid extends HTMLElement {
     set schema(value) {
         this._propSet.schema = true;
         this._schema = Array.isArray(value) ? this._processSchema(value) : [];
+        this._sortModel = this._getSchemaSortModel();
         this.render();
     }
 
@@ -57,13 +476,26 @@ class SwivelGrid extends HTMLElement {
         this._propSet.rows = true;
         this._rows = Array.isArray(value) ? value : [];
         this.render();
+        this._pruneSelection();
+        this._restorePendingScroll();
     }
 
-    get layoutType() { return this._layoutType; }
+    get layoutType() { return this._layoutMode; }
     set layoutType(value) {
         this._propSet.layoutType = true;
-        this._layoutType = (value === 'table' || value === 'list') ? 'table' : 'grid';
-        this.render();
+        this._setLayoutMode(value);
+    }
+
+    // The layout on screen, which differs from layoutType when that is "auto"
+    get activeLayout() { return this._layoutType; }
+
+    get layoutBreakpoints() {
+        return Object.fromEntries(this._layoutBreakpoints.map(({ layout, minWidth }) => [layout, minWidth]));
+    }
+    set layoutBreakpoints(value) {
+        this._propSet.layoutBreakpoints = true;
+        this._layoutBreakpoints = this._normalizeLayoutBreakpoints(value);
+        this._switchLayout(this._resolveLayout(), 'breakpoint');
     }
 
     get searchInput() { return this._searchInput; }
@@ -73,6 +505,190 @@ class SwivelGrid extends HTMLElement {
         this._bindSearchInput();
     }
 
+    get columnState() {
+        return this._getDisplayColumns().map(col => {
+            const entry = this._getColumnEntry(col.key);
+            return { key: col.key, width: entry?.width ?? null, hidden: Boolean(entry?.hidden) };
+        });
+    }
+    set columnState(value) {
+        this._columnState = this._normalizeColumnState(value);
+        this.render();
+    }
+
+    get columnChooser() { return this._columnChooser; }
+    set columnChooser(value) {
+        this._propSet.columnChooser = true;
+        this._columnChooser = Boolean(value);
+        this.render();
+    }
+
+    get groupBy() { return [...this._groupBy]; }
+    set groupBy(value) {
+        this._propSet.groupBy = true;
+        this._setGroupBy(value);
+        this.render();
+    }
+
+    get aggregates() {
+        const values = {};
+        this._getAggregateColumns().forEach(col => {
+            values[col.key] = this._getFooterAggregate(col);
+        });
+        return values;
+    }
+    set aggregates(value) {
+        this._serverAggregates = value && typeof value === 'object' ? { ...value } : {};
+        this._refreshAggregates();
+    }
+
+    get persistKey() { return this._persistKey; }
+    set persistKey(value) {
+        this._propSet.persistKey = true;
+        this._persistKey = value || null;
+    }
+
+    get rowKey() { return this._rowKey; }
+    set rowKey(value) {
+        this._propSet.rowKey = true;
+        this._rowKey = typeof value === 'function' || (typeof value === 'string' && value) ? value : null;
+        this._rowIndex = null;
+    }
+
+    get detailRenderer() { return this._detailRenderer; }
+    set detailRenderer(value) {
+        this._detailRenderer = typeof value === 'function' ? value : null;
+        this.render();
+    }
+
+    get detailTemplate() { return this._detailTemplate; }
+    set detailTemplate(value) {
+        this._detailTemplate = typeof value === 'string' && value ? value : null;
+        this._compileDetailTemplate();
+        this.render();
+    }
+
+    get syncUrl() { return this._syncUrl; }
+    set syncUrl(value) {
+        this._propSet.syncUrl = true;
+        // true syncs without a prefix; a string prefixes the parameter names
+        this._syncUrl = value === true ? '' : (typeof value === 'string' ? value : null);
+    }
+
+    get theme() { return this._theme; }
+    set theme(value) {
+        this._propSet.theme = true;
+        this._theme = this._normalizeTheme(value);
+        this.render();
+    }
+
+    get density() { return this._density; }
+    set density(value) {
+        this._propSet.density = true;
+        this._density = this._normalizeDensity(value);
+        this.render();
+    }
+
+    get cardImagePosition() { return this._cardImagePosition; }
+    set cardImagePosition(value) {
+        this._propSet.cardImagePosition = true;
+        this._cardImagePosition = this._normalizeCardImagePosition(value);
+        this.render();
+    }
+
+    get cardImageRatio() { return this._cardImageRatio; }
+    set cardImageRatio(value) {
+        this._propSet.cardImageRatio = true;
+        this._cardImageRatio = this._normalizeAspectRatio(value);
+        this.render();
+    }
+
+    get cardTemplate() { return this._cardTemplate; }
+    set cardTemplate(value) {
+        this._cardTemplate = typeof value === 'string' && value ? value : null;
+        this._compileCardTemplate();
+        this.render();
+    }
+
+    get messages() { return this._messages; }
+    set messages(value) {
+        this._messages = value && typeof value === 'object' ? { ...value } : {};
+        this.render();
+    }
+
+    get locale() { return this._locale; }
+    set locale(value) {
+        this._propSet.locale = true;
+        this._setLocale(value);
+        this.render();
+    }
+
+    get virtual() { return this._virtual; }
+    set virtual(value) {
+        this._propSet.virtual = true;
+        this._virtual = Boolean(value);
+        this.render();
+    }
+
+    get rowHeight() { return this._rowHeight; }
+    set rowHeight(value) {
+        this._rowHeight = typeof value === 'number' && value > 0 ? value : 48;
+        if (this._virtual) this.render();
+    }
+
+    get cardHeight() { return this._cardHeight; }
+    set cardHeight(value) {
+        this._cardHeight = typeof value === 'number' && value > 0 ? value : 320;
+        if (this._virtual) this.render();
+    }
+
+    get overscan() { return this._overscan; }
+    set overscan(value) {
+        this._overscan = typeof value === 'number' && value >= 0 ? Math.floor(value) : 5;
+        if (this._isVirtualized()) this._updateVirtualWindow(true);
+    }
+
+    get selectionMode() { return this._selectionMode; }
+    set selectionMode(value) {
+        this._propSet.selectionMode = true;
+        this._setSelectionMode(value);
+        this.render();
+    }
+
+    get selectedRows() { return this._rows.filter(row => this._selection.has(row)); }
+
+    get sortModel() { return this._sortModel.map(entry => ({ ...entry })); }
+    set sortModel(value) {
+        this._sortModel = this._normalizeSortModel(value);
+        this._syncSortFlags();
+        
+        if (!this._isPaginationActive()) {
+            this._currentPage = 1;
+            this._lastTriggeredPage = 0;
+            this._endReached = false;
+        }
+        this.render();
+        if (this._dataSource) this._reloadDataSource();
+    }
+
+    get dataSource() { return this._dataSource; }
+    set dataSource(value) {
+        this._dataSource = value && typeof value.fetch === 'function' ? value : null;
+        // A new source may return different rows for the same request
+        this._pageCache.clear();
+        this._reloadDataSource();
+    }
+
+    get sanitizerConfig() { return this._sanitizerConfig; }
+    set sanitizerConfig(value) {
+        this._sanitizerConfig = this._normalizeSanitizerConfig(value);
+        // Templates are sanitized with the schema, so process it again from the original templates
+        this._schema = this._processSchema(this._schema.map(column => ({ ...column, ...this._templateSources.get(column) })));
+        this._compileDetailTemplate();
+        this._compileCardTemplate();
+        this.render();
+    }
+
     get sortHandler() { return this._sortHandler; }
     set sortHandler(value) { this._sortHandler = typeof value === 'function' ? value : null; }
 
@@ -94,10 +710,23 @@ class SwivelGrid extends HTMLElement {
         this._endReached = false; // Reset end flag when totalPages changes
     }
 
+    get maxPages() { return this._maxPages; }
+    set maxPages(value) {
+        // The page in view and one on either side always stay loaded
+        this._maxPages = typeof value === 'number' && value > 0 ? Math.max(3, Math.floor(value)) : null;
+        this._requestedPages.clear();
+    }
+
     get loading() { return this._loading; }
     set loading(value) { 
+        const changed = this._loading !== Boolean(value);
         this._loading = Boolean(value);
-        this._updateLoadMoreSection();
+        // An empty grid switches between the empty state and loading skeletons
+        if (changed && !this._rows.length && this.shadowRoot?.innerHTML) {
+            this.render();
+        } else {
+            this._updateLoadMoreSection();
+        }
     }
 
     get loadMoreCallback() { return this._loadMoreCallback; }
@@ -109,6 +738,8 @@ class SwivelGrid extends HTMLElement {
     get searchHandler() { return this._searchHandler; }
     set searchHandler(value) { this._searchHandler = typeof value === 'function' ? value : null; }
 
+    get filters() { return { ...this._filters }; }
+
     attributeChangedCallback(name, oldValue, newValue) {
         if (oldValue === newValue) return;
 
@@ -116,14 +747,32 @@ class SwivelGrid extends HTMLElement {
         if ((name === 'schema' && this._propSet.schema) ||
             (name === 'rows' && this._propSet.rows) ||
             (name === 'layout-type' && this._propSet.layoutType) ||
-            (name === 'search-input' && this._propSet.searchInput)) {
+            (name === 'search-input' && this._propSet.searchInput) ||
+            (name === 'virtual' && this._propSet.virtual) ||
+            (name === 'selection-mode' && this._propSet.selectionMode) ||
+            (name === 'locale' && this._propSet.locale) ||
+            (name === 'column-chooser' && this._propSet.columnChooser) ||
+            (name === 'group-by' && this._propSet.groupBy) ||
+            (name === 'persist-key' && this._propSet.persistKey) ||
+            (name === 'sync-url' && this._propSet.syncUrl) ||
+            (name === 'row-key' && this._propSet.rowKey) ||
+            (name === 'theme' && this._propSet.theme) ||
+            (name === 'density' && this._propSet.density) ||
+            (name === 'card-image-position' && this._propSet.cardImagePosition) ||
+            (name === 'card-image-ratio' && this._propSet.cardImageRatio) ||
+            (name === 'layout-breakpoints' && this._propSet.layoutBreakpoints)) {
             return;
         }
 
         switch (name) {
+            // Layout switches keep the scroll position, which a plain render() would lose
             case 'layout-type':
-                this._layoutType = (newValue === 'table' || newValue === 'list') ? 'table' : 'grid';
-                break;
+                this._setLayoutMode(newValue);
+                return;
+            case 'layout-breakpoints':
+                this._layoutBreakpoints = this._normalizeLayoutBreakpoints(newValue);
+                this._switchLayout(this._resolveLayout(), 'breakpoint');
+                return;
             case 'schema':
                 this._parseJsonAttribute('schema', newValue);
                 break;
@@ -134,6 +783,46 @@ class SwivelGrid extends HTMLElement {
                 this._searchInput = newValue;
                 this._bindSearchInput();
                 break;
+            case 'virtual':
+                this._virtual = newValue !== null;
+                break;
+            case 'selection-mode':
+                this._setSelectionMode(newValue);
+                break;
+            case 'locale':
+                this._setLocale(newValue);
+                break;
+            case 'column-chooser':
+                this._columnChooser = newValue !== null;
+                break;
+            case 'group-by':
+                this._setGroupBy(newValue);
+                break;
+            case 'persist-key':
+                this._persistKey = newValue || null;
+                return;
+            case 'sync-url':
+                this._syncUrl = newValue;
+                return;
+            case 'row-key':
+                this._rowKey = newValue || null;
+                this._rowIndex = null;
+                return;
+            case 'theme':
+                this._theme = this._normalizeTheme(newValue);
+                break;
+            case 'density':
+                this._density = this._normalizeDensity(newValue);
+                break;
+            case 'card-image-position':
+                this._cardImagePosition = this._normalizeCardImagePosition(newValue);
+                break;
+            case 'card-image-ratio':
+                this._cardImageRatio = this._normalizeAspectRatio(newValue);
+                break;
+            case 'dir':
+                // Direction-dependent styles are generated per render
+                break;
         }
         this.render();
     }
@@ -149,14 +838,24 @@ class SwivelGrid extends HTMLElement {
             console.error(`Invalid JSON in ${property} attribute:`, error);
             this[`_${property}`] = [];
         }
+        
+        if (property === 'schema') {
+            this._sortModel = this._getSchemaSortModel();
+        }
     }
 
     connectedCallback() {
         // Initialize from attributes (only if properties weren't set)
+        if (!this._propSet.layoutBreakpoints && this.hasAttribute('layout-breakpoints')) {
+            this._layoutBreakpoints = this._normalizeLayoutBreakpoints(this.getAttribute('layout-breakpoints'));
+        }
         if (!this._propSet.layoutType) {
-            const layoutAttr = this.getAttribute('layout-type');
-            this._layoutType = (layoutAttr === 'table' || layoutAttr === 'list') ? 'table' : 'grid';
+            this._layoutMode = this._normalizeLayoutMode(this.getAttribute('layout-type'));
         }
+        this._initialLayoutMode ??= this._layoutMode;
+        this._width = this.clientWidth;
+        this._layoutType = this._resolveLayout();
+        this._observeWidth();
         if (!this._propSet.schema) {
             this._parseJsonAttribute('schema', this.getAttribute('schema'));
         }
@@ -166,14 +865,82 @@ class SwivelGrid extends HTMLElement {
         if (!this._propSet.searchInput) {
             this._searchInput = this.getAttribute('search-input');
         }
+        if (!this._propSet.virtual) {
+            this._virtual = this.hasAttribute('virtual');
+        }
+        if (!this._propSet.selectionMode) {
+            this._setSelectionMode(this.getAttribute('selection-mode'));
+        }
+        if (!this._propSet.locale) {
+            this._setLocale(this.getAttribute('locale'));
+        }
+        if (!this._propSet.columnChooser) {
+            this._columnChooser = this.hasAttribute('column-chooser');
+        }
+        if (!this._propSet.groupBy) {
+            this._setGroupBy(this.getAttribute('group-by'));
+        }
+        if (!this._propSet.persistKey) {
+            this._persistKey = this.getAttribute('persist-key') || null;
+        }
+        if (!this._propSet.syncUrl) {
+            this._syncUrl = this.getAttribute('sync-url');
+        }
+        if (!this._propSet.rowKey) {
+            this._rowKey = this.getAttribute('row-key') || null;
+        }
+        if (!this._propSet.theme) {
+            this._theme = this._normalizeTheme(this.getAttribute('theme'));
+        }
+        if (!this._propSet.density) {
+            this._density = this._normalizeDensity(this.getAttribute('density'));
+        }
+        if (!this._propSet.cardImagePosition) {
+            this._cardImagePosition = this._normalizeCardImagePosition(this.getAttribute('card-image-position'));
+        }
+        if (!this._propSet.cardImageRatio) {
+            this._cardImageRatio = this._normalizeAspectRatio(this.getAttribute('card-image-ratio'));
+        }
         
+        this._readSlotTemplates();
+        this._observeLightDom();
         this.render();
         this._bindSearchInput();
+        
+        // The URL wins over localStorage so shared links open as they were sent
+        const savedState = this._readUrlState() || this._readStoredState();
+        if (savedState) this.setState(savedState);
     }
 
     disconnectedCallback() {
         this._unbindSearchInput();
         this._unbindScrollListeners();
+        this._lightDomObserver?.disconnect();
+        this._masonryObserver?.disconnect();
+        this._widthObserver?.disconnect();
+    }
+
+    _observeLightDom() {
+        this._lightDomObserver?.disconnect();
+        // Cell and header templates can be added or swapped after the grid is connected
+        this._lightDomObserver = new MutationObserver(() => {
+            if (this._readSlotTemplates()) this.render();
+        });
+        this._lightDomObserver.observe(this, { childList: true });
+    }
+
+    // Returns true when the set of templates changed
+    _readSlotTemplates() {
+        const templates = new Map();
+        this.querySelectorAll(':scope > template[slot]').forEach(template => {
+            const slot = template.getAttribute('slot');
+            if ((/^(cell|header):/.test(slot) || slot === 'detail') && !templates.has(slot)) templates.set(slot, template);
+        });
+
+        const changed = templates.size !== this._slotTemplates.size
+            || [...templates].some(([slot, template]) => this._slotTemplates.get(slot) !== template);
+        this._slotTemplates = templates;
+        return changed;
     }
 
     _bindSearchInput() {
@@ -184,8 +951,11 @@ class SwivelGrid extends HTMLElement {
             if (input) {
                 this._searchInputListener = (e) => {
                     const query = e.target.value;
+                    this._query = String(query || '').trim();
+                    if (!this._searchHandler) this.render();
+                    if (this._dataSource) this._reloadDataSource();
                     this._searchHandler?.(query);
-                    this._dispatchEvent('search', { query });
+                    this._dispatchEvent('search', { query, matched: this._viewRows.length });
                 };
                 input.addEventListener('input', this._searchInputListener);
             }
@@ -208,6 +978,12 @@ class SwivelGrid extends HTMLElement {
         this._scrollContainer = this.shadowRoot.querySelector('.scroll-container');
         if (this._scrollContainer) {
             this._scrollContainer.addEventListener('scroll', this._onScroll);
+            
+            // The virtual window depends on the viewport size and, in grid mode, the column count
+            if (this._isVirtualized() && typeof ResizeObserver !== 'undefined') {
+                this._resizeObserver = new ResizeObserver(() => this._updateVirtualWindow());
+                this._resizeObserver.observe(this._scrollContainer);
+            }
         }
     }
 
@@ -215,6 +991,8 @@ class SwivelGrid extends HTMLElement {
         if (this._scrollContainer) {
             this._scrollContainer.removeEventListener('scroll', this._onScroll);
         }
+        this._resizeObserver?.disconnect();
+        this._resizeObserver = null;
         this._scrollContainer = null;
     }
 
@@ -223,50 +1001,7 @@ class SwivelGrid extends HTMLElement {
         
         this._isScrolling = true;
         requestAnimationFrame(() => {
-            // Get visible row indices using existing robust calculation
-            let visibleStartIndex = 0;
-            let visibleEndIndex = Math.max(0, this._rows.length - 1);
-            
-            const container = this._scrollContainer;
-            if (this._layoutType === 'table') {
-                const rows = container.querySelectorAll('tbody tr');
-                if (rows.length > 0) {
-                    const containerRect = container.getBoundingClientRect();
-                    for (let i = 0; i < rows.length; i++) {
-                        const rowRect = rows[i].getBoundingClientRect();
-                        if (rowRect.bottom > containerRect.top) {
-                            visibleStartIndex = i;
-                            break;
-                        }
-                    }
-                    for (let i = rows.length - 1; i >= 0; i--) {
-                        const rowRect = rows[i].getBoundingClientRect();
-                        if (rowRect.top < containerRect.bottom) {
-                            visibleEndIndex = i;
-                            break;
-                        }
-                    }
-                }
-            } else {
-                const cards = container.querySelectorAll('.grid-card');
-                if (cards.length > 0) {
-                    const containerRect = container.getBoundingClientRect();
-                    for (let i = 0; i < cards.length; i++) {
-                        const cardRect = cards[i].getBoundingClientRect();
-                        if (cardRect.bottom > containerRect.top) {
-                            visibleStartIndex = i;
-                            break;
-                        }
-                    }
-                    for (let i = cards.length - 1; i >= 0; i--) {
-                        const cardRect = cards[i].getBoundingClientRect();
-                        if (cardRect.top < containerRect.bottom) {
-                            visibleEndIndex = i;
-                            break;
-                        }
-                    }
-                }
-            }
+            const { start: visibleStartIndex, end: visibleEndIndex } = this._getVisibleRange();
             
             // Calculate page based purely on visible indices
             const visibleMidpoint = Math.floor((visibleStartIndex + visibleEndIndex) / 2);
@@ -286,17 +1021,66 @@ class SwivelGrid extends HTMLElement {
                 }
             }
             
+            this._reportMissingPages(visibleStartIndex, visibleEndIndex);
+            if (this._isWindowedPaging()) {
+                this._requestWindowPages(visibleStartIndex, visibleEndIndex);
+            }
+            
             // Check 80% threshold for preloading (index-based)
             this._checkThresholdTrigger(currentPage, visibleEndIndex);
+            this._persistState();
             
             this._isScrolling = false;
         });
     }
 
-    _dispatchEvent(type, detail) {
-        this.dispatchEvent(new CustomEvent(`swivel:${type}`, {
+    _getVisibleRange() {
+        // Virtual mode computes the range arithmetically and swaps the rendered window
+        if (this._isVirtualized()) {
+            const range = this._updateVirtualWindow();
+            return { start: range.visibleStart, end: range.visibleEnd };
+        }
+        
+        // Layouts whose items can't be measured in order report the range themselves
+        const layout = this._getLayout();
+        if (layout.getVisibleRange) {
+            return layout.getVisibleRange.call(this, this._getLayoutContext());
+        }
+        
+        // Get visible row indices using existing robust calculation
+        let visibleStartIndex = 0;
+        let visibleEndIndex = Math.max(0, this._viewRows.length - 1);
+        
+        const container = this._scrollContainer;
+        // Group headers and collapsed groups mean DOM position and view index can differ
+        const items = container.querySelectorAll('[data-items] > [data-index]');
+        if (items.length > 0) {
+            const containerRect = container.getBoundingClientRect();
+            for (let i = 0; i < items.length; i++) {
+                const itemRect = items[i].getBoundingClientRect();
+                if (itemRect.bottom > containerRect.top) {
+                    visibleStartIndex = Number(items[i].dataset.index);
+                    break;
+                }
+            }
+            for (let i = items.length - 1; i >= 0; i--) {
+                const itemRect = items[i].getBoundingClientRect();
+                if (itemRect.top < containerRect.bottom) {
+                    visibleEndIndex = Number(items[i].dataset.index);
+                    break;
+                }
+            }
+        }
+        
+        return { start: visibleStartIndex, end: visibleEndIndex };
+    }
+
+    _dispatchEvent(type, detail, { cancelable = false } = {}) {
+        // Returns false when a cancelable event was prevented by a listener
+        return this.dispatchEvent(new CustomEvent(`swivel:${type}`, {
             bubbles: true,
             composed: true,
+            cancelable,
             detail
         }));
     }
@@ -306,43 +1090,51 @@ class SwivelGrid extends HTMLElement {
         this._rows = Array.isArray(rows) ? [...rows] : [];
         this._currentPage = 1;
         this.render();
+        this._pruneSelection();
         this._dispatchEvent('data', { type: 'set', length: this._rows.length });
+        this._restorePendingScroll();
     }
 
     setPageData(data, pageNumber) {
         if (!Array.isArray(data)) return;
         
-        if (pageNumber !== undefined && typeof pageNumber === 'number' && pageNumber >= 1) {
+        if (this._isWindowedPaging()) {
+            // Without a page number the data is the page after the loaded ones
+            const page = typeof pageNumber === 'number' && pageNumber >= 1 ? pageNumber : this._getLoadedPageCount() + 1;
+            this._replacePage(data, page);
+            this._dispatchEvent('data', { type: 'page-set', pageNumber: page, length: this._rows.length });
+        } else if (pageNumber !== undefined && typeof pageNumber === 'number' && pageNumber >= 1) {
             // Replace specific page data
             const startIndex = (pageNumber - 1) * this._pageSize;
             
-            // Fill gaps with empty objects instead of null to prevent render errors
-            while (this._rows.length < startIndex) {
-                this._rows.push({}); // Empty object instead of null
+            if (startIndex > 0 && startIndex === this._rows.length && this._isPaginationActive()) {
+                // The page right after the loaded rows is appended without a rebuild, keeping the scroll position
+                this._rows.push(...data);
+                this._indexRows(data);
+                this._renderAppendedRows(data);
+            } else {
+                this._replacePage(data, pageNumber);
             }
-            
-            // Replace page data
-            this._rows.splice(startIndex, this._pageSize, ...data);
-            
-            this.render();
+            this._pruneSelection();
             this._dispatchEvent('data', { type: 'page-set', pageNumber, length: this._rows.length });
         } else {
             // Append data as new page
             this._rows.push(...data);
+            this._indexRows(data);
             this._currentPage = Math.ceil(this._rows.length / this._pageSize);
             
             // Check if sorting is active - if so, we need to handle page boundaries carefully
-            const activeSort = this._schema.find(col => col.sort);
-            if (activeSort) {
+            if (this._sortModel.length) {
                 // Don't perform client-side sorting when pagination is active
-                const isPaginationActive = this._totalPages !== null;
+                const isPaginationActive = this._isPaginationActive();
                 if (isPaginationActive) {
-                    console.warn('SwivelGrid: Client-side sorting disabled when pagination is active. New page data not sorted locally.');
+                    if (!this._dataSource) {
+                        console.warn('SwivelGrid: Client-side sorting disabled when pagination is active. New page data not sorted locally.');
+                    }
                     this._renderAppendedRows(data);
                 } else {
                     // Only sort when no pagination
-                    this._sortData(activeSort.key, activeSort.sort, activeSort.sortComparator);
-                    this.render();
+                    this._applyRowChanges(new Set(data));
                 }
             } else {
                 this._renderAppendedRows(data);
@@ -355,25 +1147,31 @@ class SwivelGrid extends HTMLElement {
         this._loading = false;
         this._lastTriggeredPage = 0;
         this._updateCurrentPage();
+        this._restorePendingScroll();
+        
+        // Placeholders can be in view without a scroll, e.g. after a page further down arrived first
+        if (this._scrollContainer) {
+            const { start, end } = this._getVisibleRange();
+            this._reportMissingPages(start, end);
+        }
     }
 
     appendData(rows) {
         if (!Array.isArray(rows) || rows.length === 0) return;
         
         this._rows.push(...rows);
+        this._indexRows(rows);
         
         // If there's an active sort, check if we can re-sort
-        const activeSort = this._schema.find(col => col.sort);
-        if (activeSort) {
+        if (this._sortModel.length) {
             // Don't perform client-side sorting when pagination is active
-            const isPaginationActive = this._totalPages !== null;
+            const isPaginationActive = this._isPaginationActive();
             if (isPaginationActive) {
                 console.warn('SwivelGrid: Client-side sorting disabled when pagination is active. Appended data not sorted locally.');
                 this._renderAppendedRows(rows);
             } else {
-                // Only sort when no pagination
-                this._sortData(activeSort.key, activeSort.sort, activeSort.sortComparator);
-                this.render();
+                // Only sort when no pagination. The new rows are put in place rather than rebuilding
+                this._applyRowChanges(new Set(rows));
             }
         } else {
             // Otherwise, just append the new rows
@@ -381,111 +1179,657 @@ class SwivelGrid extends HTMLElement {
         }
         
         this._dispatchEvent('data', { type: 'append', added: rows.length, length: this._rows.length });
+        this._restorePendingScroll();
     }
 
-    destroy() {
-        this._unbindSearchInput();
-        this._unbindScrollListeners();
+    getRow(key) {
+        return this._getRowIndex()?.get(key) ?? null;
     }
 
-    render() {
-        if (!this.shadowRoot) return;
-        
-        // Apply initial sorting if specified in schema
-        const initialSort = this._schema.find(col => col.sort === 'ASC' || col.sort === 'DESC');
-        if (initialSort && this._rows.length > 0) {
-            // Clear other sort flags to ensure only one column is sorted
-            this._schema.forEach(col => { if (col !== initialSort) col.sort = undefined; });
-            
-            // Only perform initial sort when pagination is not active
-            const isPaginationActive = this._totalPages !== null;
-            if (!isPaginationActive) {
-                this._sortData(initialSort.key, initialSort.sort, initialSort.sortComparator);
-            } else {
-                console.warn('SwivelGrid: Initial client-side sorting disabled when pagination is active. Server should provide pre-sorted data.');
-            }
+    updateRow(key, patch) {
+        const row = this._getRowIndex()?.get(key);
+        if (!row) return null;
+
+        const changes = this._patchRow(row, typeof patch === 'function' ? patch(row) : patch);
+        if (changes) {
+            this._applyRowChanges(new Set([row]));
+            this._dispatchEvent('data', {
+                type: 'update',
+                length: this._rows.length,
+                inserted: [],
+                updated: [{ key, row, changes }],
+                removed: []
+            });
         }
-        
-        this.shadowRoot.innerHTML = `
-            <style>
-                ${this._getStyles()}
-            </style>
-            <div class="scroll-container">
-                ${this._renderLayout()}
-                ${this._renderLoadMore()}
-            </div>
-        `;
-        
-        this._bindScrollListeners();
-        this._attachSortListeners();
-        this._bindLoadMoreEvents();
-        this._updateCurrentPage();
+        return row;
     }
 
-    _renderAppendedRows(newRows) {
-        if (this._layoutType === 'table') {
-            const tbody = this.shadowRoot.querySelector('tbody');
-            if (tbody) {
-                const fragment = document.createDocumentFragment();
-                newRows.forEach((row) => {
-                    const tr = document.createElement('tr');
-                    tr.innerHTML = this._renderTableRow(row);
-                    fragment.appendChild(tr);
-                });
-                tbody.appendChild(fragment);
+    upsertRows(rows) {
+        if (!Array.isArray(rows) || rows.length === 0) return;
+        const index = this._getRowIndex();
+        if (!index) return;
+
+        const inserted = [];
+        const updated = [];
+        rows.forEach(row => {
+            const key = this._getRowKey(row);
+            const existing = key === undefined || key === null ? undefined : index.get(key);
+            if (existing) {
+                // Existing rows are patched in place so selection and references to them survive
+                const changes = this._patchRow(existing, row);
+                if (changes) updated.push({ key, row: existing, changes });
+            } else {
+                this._rows.push(row);
+                inserted.push(row);
+                this._indexRows([row]);
             }
-        } else {
-            const gridContainer = this.shadowRoot.querySelector('.grid-container');
-            if (gridContainer) {
-                const fragment = document.createDocumentFragment();
-                newRows.forEach((row) => {
-                    const card = document.createElement('div');
-                    card.className = 'grid-card';
-                    card.innerHTML = this._renderGridCard(row);
-                    fragment.appendChild(card);
-                });
-                gridContainer.appendChild(fragment);
+        });
+        if (!inserted.length && !updated.length) return;
+
+        this._applyRowChanges(new Set([...inserted, ...updated.map(entry => entry.row)]));
+        this._dispatchEvent('data', { type: 'upsert', length: this._rows.length, inserted, updated, removed: [] });
+    }
+
+    removeRows(keys) {
+        const index = this._getRowIndex();
+        if (!index) return [];
+
+        const removed = [...new Set((Array.isArray(keys) ? keys : [keys]).map(key => index.get(key)).filter(Boolean))];
+        if (!removed.length) return [];
+
+        const gone = new Set(removed);
+        this._unindexRows(removed);
+        this._rows = this._rows.filter(row => !gone.has(row));
+        this._indexedRows = this._rows;
+        this._applyRowChanges(new Set());
+        this._dispatchEvent('data', { type: 'remove', length: this._rows.length, inserted: [], updated: [], removed });
+        return removed;
+    }
+
+    expandRow(key) {
+        const row = this._getRowIndex()?.get(key);
+        if (!row) return false;
+        this._setRowExpanded(row, true);
+        return true;
+    }
+
+    collapseRow(key) {
+        const row = this._getRowIndex()?.get(key);
+        if (!row) return false;
+        this._setRowExpanded(row, false);
+        return true;
+    }
+
+    setFilter(key, value) {
+        const column = this._schema.find(col => col.key === key);
+        if (!column) {
+            console.warn(`SwivelGrid: Cannot filter unknown column "${key}".`);
+            return;
+        }
+
+        if (this._isEmptyFilterValue(value)) {
+            delete this._filters[key];
+        } else {
+            this._filters[key] = value;
+        }
+
+        this.render();
+        if (this._dataSource) this._reloadDataSource();
+        this._dispatchEvent('filter', { filters: this.filters, query: this._query, matched: this._viewRows.length });
+    }
+
+    clearFilters() {
+        this._filters = {};
+        this._query = '';
+        this.render();
+        if (this._dataSource) this._reloadDataSource();
+        this._dispatchEvent('filter', { filters: this.filters, query: this._query, matched: this._viewRows.length });
+    }
+
+    selectRows(rows) {
+        if (this._selectionMode === 'none') {
+            console.warn('SwivelGrid: selectRows() ignored because selection-mode is "none".');
+            return;
+        }
+
+        // Accept either row objects or a predicate over the loaded rows
+        const known = new Set(this._rows);
+        const candidates = typeof rows === 'function'
+            ? this._rows.filter(rows)
+            : (Array.isArray(rows) ? rows : [rows]).filter(row => known.has(row));
+        if (!candidates.length) return;
+
+        if (this._selectionMode === 'single') {
+            this._selection = new Set([candidates[candidates.length - 1]]);
+        } else {
+            candidates.forEach(row => this._selection.add(row));
+        }
+        this._selectionAnchor = candidates[candidates.length - 1];
+        this._commitSelection();
+    }
+
+    setColumnVisibility(key, visible) {
+        if (!this._schema.some(col => col.key === key)) return;
+        this._updateColumnState(key, { hidden: !visible }, 'visibility');
+        this.render();
+    }
+
+    getState() {
+        return {
+            layoutType: this._layoutMode,
+            sortModel: this.sortModel,
+            columnState: this.columnState,
+            filters: this.filters,
+            query: this._query,
+            groupBy: this.groupBy,
+            currentPage: this._pendingScroll?.page ?? this._currentPage,
+            // A restore still waiting for rows reports where it is headed
+            scrollTop: this._pendingScroll?.scrollTop ?? Math.round(this._scrollContainer?.scrollTop || 0)
+        };
+    }
+
+    setState(state) {
+        if (!state || typeof state !== 'object') return;
+
+        if (Array.isArray(state.sortModel)) {
+            this._sortModel = this._normalizeSortModel(state.sortModel);
+            this._syncSortFlags();
+        }
+        if (Array.isArray(state.columnState)) {
+            this._columnState = this._normalizeColumnState(state.columnState);
+        }
+        if (state.filters && typeof state.filters === 'object') {
+            this._filters = Object.fromEntries(
+                Object.entries(state.filters).filter(([, value]) => !this._isEmptyFilterValue(value))
+            );
+        }
+        if (typeof state.query === 'string') {
+            this._query = state.query.trim();
+            // Keep the bound search box showing the restored query
+            const input = this._searchInput ? document.querySelector(this._searchInput) : null;
+            if (input) input.value = this._query;
+        }
+        if (state.groupBy !== undefined) {
+            this._setGroupBy(state.groupBy);
+        }
+        // After the rest, so a layout switch renders the restored view
+        if (state.layoutType) {
+            this._setLayoutMode(state.layoutType, 'state');
+        }
+
+        const scrollTop = Number(state.scrollTop);
+        const page = Number(state.currentPage);
+        this._pendingScroll = scrollTop > 0 || page > 1
+            ? { scrollTop: Math.max(0, scrollTop) || 0, page: Math.max(1, page) || 1 }
+            : null;
+
+        this.render();
+        if (this._dataSource) {
+            this._reloadDataSource();
+        } else {
+            this._restorePendingScroll();
+        }
+    }
+
+    exportData({ format = 'csv', columns, scope = 'filtered' } = {}) {
+        if (!['csv', 'tsv', 'json'].includes(format)) {
+            console.warn(`SwivelGrid: Unknown export format "${format}", using csv.`);
+            format = 'csv';
+        }
+
+        const exportColumns = this._getExportColumns(columns);
+        const rows = this._getExportRows(scope);
+
+        if (format === 'json') {
+            const records = rows.map(row => Object.fromEntries(
+                exportColumns.map(col => [col.key, this._getExportValue(row, col)])
+            ));
+            return JSON.stringify(records, null, 2);
+        }
+
+        const delimiter = format === 'tsv' ? '\t' : ',';
+        const toLine = fields => fields.map(field => this._serializeExportField(field, format)).join(delimiter);
+        return [
+            toLine(exportColumns.map(col => col.label)),
+            ...rows.map(row => toLine(exportColumns.map(col => this._getExportValue(row, col))))
+        ].join('\r\n');
+    }
+
+    async copyToClipboard({ columns, scope } = {}) {
+        // Without an explicit scope, the selection is copied if there is one
+        const text = this.exportData({
+            format: 'tsv',
+            columns,
+            scope: scope || (this._selection.size ? 'selected' : 'filtered')
+        });
+
+        if (!navigator.clipboard?.writeText) {
+            console.warn('SwivelGrid: Clipboard API not available.');
+            return false;
+        }
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch (error) {
+            console.warn('SwivelGrid: Copy to clipboard failed.', error);
+            return false;
+        }
+    }
+
+    expandAll() {
+        if (!this._collapsedGroups.size) return;
+        this._collapsedGroups.clear();
+        this.render();
+        this._dispatchEvent('groupToggle', { key: null, value: null, path: null, expanded: true });
+    }
+
+    collapseAll() {
+        if (!this._isGrouped()) return;
+        this._groups.forEach((group, path) => this._collapsedGroups.add(path));
+        this.render();
+        this._dispatchEvent('groupToggle', { key: null, value: null, path: null, expanded: false });
+    }
+
+    clearSelection() {
+        if (!this._selection.size) return;
+        this._selection.clear();
+        this._selectionAnchor = null;
+        this._commitSelection();
+    }
+
+    destroy() {
+        this._unbindSearchInput();
+        this._unbindScrollListeners();
+        this._lightDomObserver?.disconnect();
+        this._masonryObserver?.disconnect();
+        this._widthObserver?.disconnect();
+        clearTimeout(this._persistTimer);
+        this._pendingPages.forEach(request => request.controller.abort());
+        this._pendingPages.clear();
+        this._disposeNodes(true);
+    }
+
+    render() {
+        if (!this.shadowRoot) return;
+        
+        // Apply the sort model (initially derived from the schema's sort flags)
+        if (this._sortModel.length && this._rows.length > 0) {
+            // Only perform initial sort when pagination is not active
+            const isPaginationActive = this._isPaginationActive();
+            if (!isPaginationActive) {
+                this._sortData();
+            } else if (!this._dataSource) {
+                console.warn('SwivelGrid: Initial client-side sorting disabled when pagination is active. Server should provide pre-sorted data.');
             }
         }
+        
+        // Apply search query and column filters on top of the sorted rows, then group them
+        this._viewRows = this._groupRows(this._filterRows(this._rows));
+        this._computeAggregates();
+        
+        // Remember whether a cell had focus so it can be restored after the rebuild
+        const hadFocus = this._isNavigationFocused() || Boolean(this._editing);
+        
+        // An open editor can't survive the rebuild
+        this._editing = null;
+        
+        // The scroll container is rebuilt below, so the virtual window starts at the top
+        this._unbindScrollListeners();
+        this._virtualRange = null;
+        
+        // Masonry items are observed again once the new ones are in
+        this._masonryObserver?.disconnect();
+        
+        // Keep the column chooser open across re-renders
+        const chooserOpen = Boolean(this.shadowRoot.querySelector('.column-chooser')?.open);
+        
+        this.shadowRoot.innerHTML = `
+            <style>
+                ${this._getStyles()}
+            </style>
+            ${this._renderToolbar(chooserOpen)}
+            <div class="scroll-container${this._isWindowedPaging() ? ' windowed' : ''}" part="scroll-container">
+                ${this._renderLayout()}
+                ${this._renderLoadMore()}
+            </div>
+        `;
+        
+        // Spacing is measured again from the new grid the first time it's needed
+        this._gridSpacing = null;
+        this._mountNodes();
+        this._bindScrollListeners();
+        this._attachSortListeners();
+        this._attachColumnListeners();
+        this._bindSelectionListeners();
+        this._bindNavigationListeners();
+        this._bindEditListeners();
+        this._bindGroupListeners();
+        this._bindDetailListeners();
+        this._bindLoadMoreEvents();
+        this._updateCurrentPage();
+        this._syncSelectionUI();
+        
+        if (this._isVirtualized()) {
+            // Header height is measured once per render, not on every scroll frame
+            this._virtualOffset = this.shadowRoot.querySelector('thead')?.offsetHeight || 0;
+            this._updateVirtualWindow();
+        }
+        
+        if (hadFocus) {
+            this._moveFocus(this._focusPosition.row, this._focusPosition.col, false);
+        } else {
+            this._syncRovingTabindex();
+        }
+        
+        this._persistState();
+    }
+
+    _renderAppendedRows(newRows) {
+        // Rows hidden by the active filters are kept in _rows but never rendered
+        const visibleRows = this._filterRows(newRows);
+        if (!visibleRows.length) return;
+        
+        // Nothing to append to while the empty state is shown
+        if (!this.shadowRoot.querySelector('[data-items]')) {
+            this.render();
+            return;
+        }
+        
+        if (this._isGrouped()) {
+            this._insertGroupedRows(visibleRows);
+            return;
+        }
+        this._viewRows.push(...visibleRows);
+        
+        // Only the new rows are folded into the running totals
+        visibleRows.forEach(row => this._accumulateRow(row));
+        this._refreshAggregates();
+        
+        // Appended rows only grow the spacer unless they fall inside the window
+        if (this._isVirtualized()) {
+            this._updateVirtualWindow(true);
+            return;
+        }
+        
+        // View indices of the appended rows continue after the rows already rendered
+        const firstIndex = this._viewRows.length - visibleRows.length;
+        const template = document.createElement('template');
+        template.innerHTML = this._renderLayoutItems(visibleRows, firstIndex);
+        this.shadowRoot.querySelector('[data-items]').appendChild(template.content);
+        
+        this._mountNodes();
+        this._syncSelectionUI();
+        this._syncRovingTabindex();
+    }
+
+    _getRowKey(row) {
+        if (!row || typeof row !== 'object') return undefined;
+        return typeof this._rowKey === 'function' ? this._rowKey(row) : row[this._rowKey];
+    }
+
+    // Built on first use and kept in step by the methods that add, remove or re-key rows.
+    // Replacing _rows outright (setData, the rows property) rebuilds it on the next lookup
+    _getRowIndex() {
+        if (!this._rowKey) {
+            console.warn('SwivelGrid: Set rowKey to look up rows by key.');
+            return null;
+        }
+
+        if (!this._rowIndex || this._indexedRows !== this._rows) {
+            this._rowIndex = new Map();
+            this._indexedRows = this._rows;
+            this._indexRows(this._rows);
+        }
+        return this._rowIndex;
+    }
+
+    _isRowIndexCurrent() {
+        return Boolean(this._rowIndex) && this._indexedRows === this._rows;
+    }
+
+    _indexRows(rows) {
+        if (!this._isRowIndexCurrent()) return;
+        rows.forEach(row => {
+            const key = this._getRowKey(row);
+            // Placeholder rows have no key, and the first row with a duplicate key wins
+            if (key !== undefined && key !== null && !this._rowIndex.has(key)) this._rowIndex.set(key, row);
+        });
+    }
+
+    _unindexRows(rows) {
+        if (!this._isRowIndexCurrent()) return;
+        rows.forEach(row => {
+            const key = this._getRowKey(row);
+            if (this._rowIndex.get(key) === row) this._rowIndex.delete(key);
+        });
+    }
+
+    // Moves a row whose key field was patched or edited to its new key
+    _reindexRow(row, oldKey) {
+        if (!this._isRowIndexCurrent() || Object.is(this._getRowKey(row), oldKey)) return;
+        if (this._rowIndex.get(oldKey) === row) this._rowIndex.delete(oldKey);
+        this._indexRows([row]);
+    }
+
+    _patchRow(row, values) {
+        const oldKey = this._getRowKey(row);
+        const changes = {};
+        Object.entries(values && typeof values === 'object' ? values : {}).forEach(([field, newValue]) => {
+            const oldValue = row[field];
+            if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+            row[field] = newValue;
+            changes[field] = { oldValue, newValue };
+        });
+        this._reindexRow(row, oldKey);
+        return Object.keys(changes).length ? changes : null;
+    }
+
+    // Re-applies sort, filters and grouping after keyed changes, then patches only the items that changed or moved
+    _applyRowChanges(changed) {
+        if (!this.shadowRoot) return;
+
+        if (this._sortModel.length && !this._isPaginationActive()) {
+            this._sortData();
+        }
+
+        const previous = this._viewRows;
+        const focusedRow = previous[this._focusPosition.row];
+        const hadFocus = this._isNavigationFocused();
+        const groupSignature = () => [...this._groups.values()].map(group => `${group.path}:${group.count}`).join('|');
+        const previousGroups = groupSignature();
+        const nextView = this._groupRows(this._filterRows(this._rows));
+        const container = this.shadowRoot.querySelector('[data-items]');
+
+        // Group headers and counts, and the empty state, are only built by a full render
+        const sameGroups = nextView.length === previous.length
+            && nextView.every((row, i) => row === previous[i])
+            && groupSignature() === previousGroups;
+        if (!container || !nextView.length || (this._isGrouped() && !sameGroups)) {
+            this.render();
+            this._pruneSelection();
+            return;
+        }
+
+        this._viewRows = nextView;
+        this._updateAggregates(previous, changed);
+        if (this._editing && (changed.has(this._editing.row) || !nextView.includes(this._editing.row))) {
+            this._editing = null;
+        }
+
+        // The active cell follows its row to the new position
+        if (focusedRow) {
+            const index = nextView.indexOf(focusedRow);
+            this._focusPosition = {
+                ...this._focusPosition,
+                row: index === -1 ? Math.min(this._focusPosition.row, nextView.length - 1) : index
+            };
+        }
+
+        if (this._isVirtualized()) {
+            this._updateVirtualWindow(true);
+        } else {
+            this._patchRenderedItems(container, previous, changed);
+            this._mountNodes();
+        }
+
+        this._refreshAggregates();
+        this._updateCurrentPage();
+        this._pruneSelection();
+        this._syncSelectionUI();
+        if (hadFocus) {
+            this._moveFocus(this._focusPosition.row, this._focusPosition.col, false);
+        } else {
+            this._syncRovingTabindex();
+        }
+    }
+
+    _patchRenderedItems(container, previous, changed) {
+        const rendered = new Map();
+        container.querySelectorAll(':scope > [data-index]').forEach(item => {
+            rendered.set(previous[Number(item.dataset.index)], item);
+        });
+
+        // Rows that were removed or filtered out lose their items first
+        const kept = new Set(this._viewRows);
+        rendered.forEach((item, row) => {
+            if (!kept.has(row)) {
+                item.remove();
+                rendered.delete(row);
+            }
+        });
+
+        // Grouped views only get here with an unchanged order, so items are replaced where they are
+        const reorder = !this._isGrouped();
+        const template = document.createElement('template');
+        let anchor = null;
+
+        this._viewRows.forEach((row, index) => {
+            let item = rendered.get(row);
+            if (!item || changed.has(row)) {
+                if (this._isRowCollapsed(row)) return;
+                template.innerHTML = this._renderLayoutItems([row], index);
+                const fresh = template.content.firstElementChild;
+                if (item) item.replaceWith(fresh);
+                item = fresh;
+            }
+            item.dataset.index = String(index);
+
+            if (reorder) {
+                const expected = anchor ? anchor.nextElementSibling : container.firstElementChild;
+                if (item !== expected) container.insertBefore(item, expected);
+                anchor = item;
+            }
+        });
     }
 
     _getStyles() {
+        // Logical properties cover most of dir="rtl"; these values have no logical form
+        const rtl = this._isRtl();
         return `
+            ${this._getThemeStyles()}
+
             :host {
                 display: block;
-                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-                --primary-color: #007acc;
-                --border-color: #e1e5e9;
-                --hover-color: #f8f9fa;
-                --text-color: #24292f;
-                --star-color: #fbbf24;
+                font-family: var(--swivel-font-family);
+                font-size: var(--swivel-font-size);
+                color: var(--swivel-text-color);
             }
 
+            /* The size container for the card breakpoint. On the host, inline-size containment would
+               collapse a grid that's a flex item or inline-block without a width */
             .scroll-container {
-                max-height: 600px;
+                container-type: inline-size;
+                max-height: var(--swivel-max-height);
                 overflow: auto;
-                border: 1px solid var(--border-color);
-                border-radius: 6px;
+                border: 1px solid var(--swivel-border-color);
+                border-radius: var(--swivel-radius);
+                background: var(--swivel-background);
             }
 
             /* Grid Layout Styles */
             .grid-container {
                 display: grid;
                 grid-template-columns: repeat(auto-fill, minmax(${this._getMinCardWidth()}px, 1fr));
-                gap: 16px;
-                padding: 16px;
+                gap: var(--swivel-card-gap);
+                padding: var(--swivel-grid-padding);
+            }
+
+            /* Virtualized cards need a fixed height for the window arithmetic */
+            .grid-container.virtual .grid-card {
+                height: ${this._cardHeight}px;
+                box-sizing: border-box;
+                overflow: hidden;
             }
 
             .grid-card {
-                border: 1px solid var(--border-color);
-                border-radius: 8px;
-                padding: 16px;
-                background: white;
+                border: 1px solid var(--swivel-border-color);
+                border-radius: var(--swivel-card-radius);
+                padding: var(--swivel-card-padding);
+                background: var(--swivel-surface);
                 transition: box-shadow 0.2s ease;
+                position: relative;
+            }
+
+            .grid-card:focus-visible,
+            .card-value.editable:focus-visible,
+            td:focus-visible,
+            th:focus-visible {
+                outline: 2px solid var(--swivel-accent-color);
+                outline-offset: -2px;
+            }
+
+            .editable {
+                cursor: text;
+            }
+
+            .cell-editor {
+                width: 100%;
+                box-sizing: border-box;
+                font: inherit;
+                padding: 4px 6px;
+                color: var(--swivel-text-color);
+                background: var(--swivel-surface);
+                border: 1px solid var(--swivel-accent-color);
+                border-radius: 4px;
+            }
+
+            .cell-editor[aria-invalid="true"] {
+                border-color: var(--swivel-error-color);
+            }
+
+            .cell-editor-error {
+                display: block;
+                margin-top: 4px;
+                color: var(--swivel-error-color);
+                font-size: 0.85em;
+            }
+
+            .rating-editor {
+                width: auto;
+                border-color: transparent;
+            }
+
+            .rating-editor .rating-star {
+                cursor: pointer;
+            }
+
+            .grid-card.selectable {
+                cursor: pointer;
+            }
+
+            .grid-card.selected {
+                border-color: var(--swivel-accent-color);
+                background: var(--swivel-selected-color);
+            }
+
+            .card-select {
+                position: absolute;
+                top: 8px;
+                inset-inline-end: 8px;
             }
 
             .grid-card:hover {
-                box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+                box-shadow: var(--swivel-shadow);
             }
 
             .grid-card section[role="group"] {
@@ -503,18 +1847,18 @@ class SwivelGrid extends HTMLElement {
             .grid-image-placeholder {
                 width: 100%;
                 height: 120px;
-                background: #f6f8fa;
-                border: 2px dashed #d1d9e0;
+                background: var(--swivel-surface-alt);
+                border: 2px dashed var(--swivel-placeholder-border-color);
                 border-radius: 4px;
                 display: flex;
                 align-items: center;
                 justify-content: center;
-                color: #656d76;
+                color: var(--swivel-muted-color);
                 margin-bottom: 12px;
             }
 
             .grid-field {
-                margin-bottom: 8px;
+                margin-bottom: var(--swivel-field-gap);
                 display: flex;
                 justify-content: space-between;
                 align-items: center;
@@ -526,631 +1870,4056 @@ class SwivelGrid extends HTMLElement {
 
             .grid-field-label {
                 font-weight: 600;
-                color: var(--text-color);
-                margin-right: 8px;
+                color: var(--swivel-text-color);
+                margin-inline-end: 8px;
                 min-width: 0;
             }
 
             .grid-field-value {
-                color: #656d76;
-                text-align: right;
+                color: var(--swivel-muted-color);
+                text-align: end;
                 min-width: 0;
                 word-break: break-word;
             }
 
-            /* Table Layout Styles */
-            .table-container {
-                width: 100%;
-                overflow-x: auto;
+            /* Card roles */
+            .card-title {
+                font-size: 1.1em;
+                font-weight: 600;
+                color: var(--swivel-text-color);
+                margin-bottom: 4px;
+                word-break: break-word;
             }
 
-            table {
-                width: 100%;
-                border-collapse: collapse;
-                background: white;
+            .card-subtitle {
+                color: var(--swivel-muted-color);
+                margin-bottom: var(--swivel-field-gap);
             }
 
-            th {
-                background: #f6f8fa;
-                border-bottom: 1px solid var(--border-color);
-                padding: 12px 8px;
-                text-align: left;
-                font-weight: 600;
-                color: var(--text-color);
-                position: sticky;
-                top: 0;
-                cursor: pointer;
-                user-select: none;
+            .card-badges {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 4px;
+                margin-bottom: var(--swivel-field-gap);
             }
 
-            th:hover {
-                background: #eaeef2;
+            .card-badge,
+            .list-badge {
+                padding: 2px 8px;
+                border-radius: 999px;
+                background: var(--swivel-accent-color);
+                color: var(--swivel-accent-contrast-color);
+                font-size: 0.85em;
             }
 
-            th.sortable::after {
-                content: '↕';
-                margin-left: 4px;
-                opacity: 0.5;
+            .card-footer {
+                display: flex;
+                flex-wrap: wrap;
+                justify-content: space-between;
+                gap: 8px;
+                margin-top: var(--swivel-field-gap);
+                padding-top: var(--swivel-field-gap);
+                border-top: 1px solid var(--swivel-row-border-color);
+                color: var(--swivel-muted-color);
             }
 
-            th.sort-asc::after {
-                content: '↑';
-                opacity: 1;
+            ${this._cardImageRatio ? `
+                .card-media .grid-image,
+                .card-media .grid-image-placeholder {
+                    aspect-ratio: ${this._cardImageRatio};
+                    height: auto;
+                    max-height: none;
+                }
+            ` : ''}
+
+            /* card-image-position="left" - the image fills a column beside the body */
+            .card-image-left .grid-card {
+                display: grid;
+                grid-template-columns: 40% minmax(0, 1fr);
+                column-gap: 12px;
+                align-items: start;
             }
 
-            th.sort-desc::after {
-                content: '↓';
-                opacity: 1;
+            .card-image-left .grid-card > * {
+                grid-column: 2;
             }
 
-            td {
-                border-bottom: 1px solid #f1f3f4;
-                padding: 12px 8px;
-                vertical-align: middle;
+            .card-image-left .grid-card > .card-media {
+                grid-column: 1;
+                grid-row: span 2;
             }
 
-            tr:hover td {
-                background: var(--hover-color);
+            .card-image-left .grid-card > .card-detail {
+                grid-column: 1 / -1;
             }
 
-            .table-image {
-                width: 40px;
-                height: 40px;
-                object-fit: cover;
-                border-radius: 4px;
+            .card-image-left .grid-image,
+            .card-image-left .grid-image-placeholder {
+                margin-bottom: 0;
             }
 
-            .table-image-placeholder {
-                width: 40px;
-                height: 40px;
-                background: #f6f8fa;
-                border: 1px dashed #d1d9e0;
-                border-radius: 4px;
+            /* card-image-position="background" - the body sits on a shade over the image */
+            .card-image-background .grid-card {
                 display: flex;
-                align-items: center;
-                justify-content: center;
-                font-size: 12px;
-                color: #656d76;
+                flex-direction: column;
+                justify-content: flex-end;
+                overflow: hidden;
+                ${this._cardImageRatio ? `aspect-ratio: ${this._cardImageRatio};` : 'min-height: 200px;'}
             }
 
-            /* Rating Styles */
-            .rating {
-                display: inline-flex;
+            .card-image-background .card-media {
+                position: absolute;
+                inset: 0;
+            }
+
+            .card-image-background .card-media .grid-image,
+            .card-image-background .card-media .grid-image-placeholder {
+                width: 100%;
+                height: 100%;
+                max-height: none;
+                aspect-ratio: auto;
+                margin: 0;
+                border: 0;
+                border-radius: 0;
+            }
+
+            .card-image-background .card-media ~ * {
+                position: relative;
+            }
+
+            .card-image-background .card-select {
+                z-index: 1;
+            }
+
+            .card-image-background .card-media ~ .card-body {
+                margin-inline: calc(-1 * var(--swivel-card-padding));
+                padding: 48px var(--swivel-card-padding) 0;
+                background: linear-gradient(transparent, rgba(0, 0, 0, 0.7));
+                color: #fff;
+            }
+
+            .card-image-background .card-media ~ .card-body:last-child {
+                margin-bottom: calc(-1 * var(--swivel-card-padding));
+                padding-bottom: var(--swivel-card-padding);
+            }
+
+            .card-image-background .card-media ~ .card-body :is(.card-title, .card-subtitle, .card-footer, .grid-field-label, .grid-field-value) {
+                color: inherit;
+            }
+
+            /* Masonry Layout Styles - items span one 1px row per pixel of height once measured */
+            .masonry-container.measured {
+                grid-auto-rows: 1px;
+                row-gap: 0;
+            }
+
+            .masonry-container > * {
+                align-self: start;
+            }
+
+            .masonry-container > .group-heading,
+            .masonry-container > .group-summary {
+                grid-column: 1 / -1;
+            }
+
+            .masonry-container .grid-image {
+                max-height: none;
+            }
+
+            /* List Layout Styles */
+            .list-item {
+                display: flex;
+                flex-wrap: wrap;
                 align-items: center;
-                gap: 2px;
+                gap: 12px;
+                padding: var(--swivel-cell-padding);
+                border-bottom: 1px solid var(--swivel-row-border-color);
+                background: var(--swivel-surface);
             }
 
-            .rating-star {
-                color: var(--star-color);
-                font-size: 16px;
+            .list-item:focus-visible {
+                outline: 2px solid var(--swivel-accent-color);
+                outline-offset: -2px;
             }
 
-            .rating-star.empty {
-                color: #e1e5e9;
+            .list-item.selectable {
+                cursor: pointer;
             }
 
-            .rating-text {
-                margin-left: 4px;
-                font-size: 0.9em;
-                color: #656d76;
+            .list-item.selected {
+                background: var(--swivel-selected-color);
             }
 
-            /* Empty state */
-            .empty-state {
-                padding: 48px 24px;
-                text-align: center;
-                color: #656d76;
+            .list-thumbnail {
+                flex: none;
             }
 
-            .empty-state h3 {
-                margin: 0 0 8px 0;
-                color: var(--text-color);
+            .list-body {
+                flex: 1;
+                min-width: 0;
             }
 
-            /* Screen reader only text */
-            .sr-only {
-                position: absolute;
-                width: 1px;
-                height: 1px;
-                padding: 0;
-                margin: -1px;
+            .list-heading {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+
+            .list-title {
+                min-width: 0;
                 overflow: hidden;
-                clip: rect(0, 0, 0, 0);
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                font-weight: 600;
+                color: var(--swivel-text-color);
+            }
+
+            .list-secondary-text {
+                overflow: hidden;
+                text-overflow: ellipsis;
                 white-space: nowrap;
+                color: var(--swivel-muted-color);
+                font-size: 0.9em;
+            }
+
+            .list-trailing-values {
+                display: flex;
+                flex-direction: column;
+                align-items: flex-end;
+                font-weight: 600;
+                font-variant-numeric: tabular-nums;
+            }
+
+            .list-item > .card-detail {
+                flex-basis: 100%;
+            }
+
+            /* Table Layout Styles */
+            .table-container {
+                width: 100%;
+                overflow-x: auto;
+            }
+
+            table {
+                width: 100%;
+                border-collapse: collapse;
+                background: var(--swivel-surface);
+            }
+
+            .toolbar {
+                display: flex;
+                justify-content: flex-end;
+                margin-bottom: 8px;
+            }
+
+            .column-chooser {
+                position: relative;
+            }
+
+            .column-chooser summary {
+                cursor: pointer;
+                padding: 6px 12px;
+                border: 1px solid var(--swivel-border-color);
+                border-radius: 6px;
+                list-style: none;
+            }
+
+            .column-chooser-panel {
+                position: absolute;
+                inset-inline-end: 0;
+                z-index: 2;
+                min-width: 180px;
+                margin-top: 4px;
+                padding: 8px 12px;
+                background: var(--swivel-surface);
+                border: 1px solid var(--swivel-border-color);
+                border-radius: 6px;
+                box-shadow: var(--swivel-shadow);
+            }
+
+            .column-chooser-panel label {
+                display: flex;
+                gap: 8px;
+                align-items: center;
+                padding: 4px 0;
+            }
+
+            .resize-handle {
+                position: absolute;
+                top: 0;
+                inset-inline-end: 0;
+                width: 6px;
+                height: 100%;
+                cursor: col-resize;
+            }
+
+            .resize-handle:hover {
+                background: var(--swivel-accent-color);
+                opacity: 0.4;
+            }
+
+            th.dragging {
+                opacity: 0.5;
+            }
+
+            th.drop-before {
+                box-shadow: inset ${rtl ? -2 : 2}px 0 0 var(--swivel-accent-color);
+            }
+
+            th.drop-after {
+                box-shadow: inset ${rtl ? 2 : -2}px 0 0 var(--swivel-accent-color);
+            }
+
+            th {
+                background: var(--swivel-header-background);
+                border-bottom: 1px solid var(--swivel-border-color);
+                padding: var(--swivel-cell-padding);
+                text-align: start;
+                font-weight: 600;
+                color: var(--swivel-text-color);
+                position: sticky;
+                top: 0;
+                cursor: pointer;
+                user-select: none;
+            }
+
+            th:hover {
+                background: var(--swivel-header-hover-color);
+            }
+
+            th.sortable::after {
+                content: '↕';
+                margin-inline-start: 4px;
+                opacity: 0.5;
+            }
+
+            th.sort-asc::after {
+                content: '↑' attr(data-sort-priority);
+                opacity: 1;
+            }
+
+            th.sort-desc::after {
+                content: '↓' attr(data-sort-priority);
+                opacity: 1;
+            }
+
+            td {
+                border-bottom: 1px solid var(--swivel-row-border-color);
+                padding: var(--swivel-cell-padding);
+                vertical-align: middle;
+            }
+
+            tr:hover td {
+                background: var(--swivel-hover-color);
+            }
+
+            tr.selected td {
+                background: var(--swivel-selected-color);
+            }
+
+            tr.group-header td,
+            tr.group-header:hover td {
+                background: var(--swivel-surface-alt);
+                padding-top: 6px;
+                padding-bottom: 6px;
+            }
+
+            .group-heading {
+                grid-column: 1 / -1;
+                border-bottom: 1px solid var(--swivel-border-color);
+            }
+
+            .group-toggle {
+                display: inline-flex;
+                align-items: center;
+                gap: 6px;
+                padding: 4px;
+                background: none;
                 border: 0;
+                border-radius: 4px;
+                font: inherit;
+                font-weight: 600;
+                color: var(--swivel-text-color);
+                cursor: pointer;
             }
 
-            /* Template container styles */
-            .template-content {
-                display: contents;
+            .group-toggle:focus-visible {
+                outline: 2px solid var(--swivel-accent-color);
             }
 
-            /* Load more section styles */
-            .load-more-section {
-                padding: 20px;
+            .group-icon {
+                transition: transform 0.2s ease;
+            }
+
+            .group-toggle[aria-expanded="false"] .group-icon {
+                transform: rotate(${rtl ? 90 : -90}deg);
+            }
+
+            .group-value {
+                font-weight: normal;
+            }
+
+            .group-count {
+                color: var(--swivel-muted-color);
+                font-weight: normal;
+            }
+
+            tfoot td {
+                position: sticky;
+                bottom: 0;
+                background: var(--swivel-surface-alt);
+                border-top: 1px solid var(--swivel-border-color);
+                border-bottom: 0;
+                font-weight: 600;
+            }
+
+            tr.summary-row:hover td,
+            tr.group-summary:hover td {
+                background: var(--swivel-surface-alt);
+            }
+
+            tr.group-summary td {
+                padding-top: 6px;
+                padding-bottom: 6px;
+                font-weight: 600;
+            }
+
+            .aggregate-label {
+                margin-inline-end: 4px;
+                color: var(--swivel-muted-color);
+                font-size: 0.85em;
+                font-weight: normal;
+            }
+
+            .summary-bar,
+            .group-summary:not(tr) {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 8px 24px;
+                font-weight: 600;
+                color: var(--swivel-text-color);
+            }
+
+            .summary-bar {
+                position: sticky;
+                bottom: 0;
+                padding: 12px var(--swivel-grid-padding);
+                background: var(--swivel-surface-alt);
+                border-top: 1px solid var(--swivel-border-color);
+            }
+
+            .group-summary:not(tr) {
+                grid-column: 1 / -1;
+            }
+
+            .select-column {
+                width: 40px;
                 text-align: center;
-                border-top: 1px solid var(--border-color);
-                background: #f8f9fa;
+                cursor: default;
             }
 
-            .load-more-button {
-                padding: 12px 24px;
-                background: var(--primary-color);
-                color: white;
-                border: none;
-                border-radius: 6px;
+            .detail-column {
+                width: 40px;
+                text-align: center;
+            }
+
+            .detail-toggle {
+                display: inline-flex;
+                align-items: center;
+                gap: 6px;
+                padding: 4px;
+                background: none;
+                border: 0;
+                border-radius: 4px;
+                font: inherit;
+                color: var(--swivel-muted-color);
                 cursor: pointer;
-                font-size: 14px;
-                font-weight: 500;
-                transition: background-color 0.2s;
             }
 
-            .load-more-button:hover {
-                background: #0056a3;
+            .detail-toggle:focus-visible {
+                outline: 2px solid var(--swivel-accent-color);
             }
 
-            .load-more-button:disabled {
-                background: #6c757d;
-                cursor: not-allowed;
+            .grid-card .detail-toggle {
+                margin-top: var(--swivel-field-gap);
             }
 
-            .spinner {
-                display: inline-block;
-                width: 20px;
-                height: 20px;
-                border: 2px solid #f3f3f3;
-                border-top: 2px solid var(--primary-color);
-                border-radius: 50%;
-                animation: spin 1s linear infinite;
-                margin-right: 8px;
+            .detail-icon {
+                transition: transform 0.2s ease;
             }
 
-            @keyframes spin {
-                0% { transform: rotate(0deg); }
-                100% { transform: rotate(360deg); }
+            .detail-toggle[aria-expanded="false"] .detail-icon {
+                transform: rotate(${rtl ? 90 : -90}deg);
             }
 
-            /* Responsive */
-            @media (max-width: 768px) {
-                .grid-container {
-                    grid-template-columns: 1fr;
+            tr.detail-row > td {
+                background: var(--swivel-surface-alt);
+            }
+
+            .card-detail {
+                margin-top: var(--swivel-field-gap);
+                padding-top: var(--swivel-field-gap);
+                border-top: 1px solid var(--swivel-row-border-color);
+            }
+
+            table.virtual tbody tr {
+                height: ${this._rowHeight}px;
+            }
+
+            /* Skeletons for pending rows - page gaps, evicted pages and the page being loaded */
+            tr.page-placeholder {
+                height: ${this._rowHeight}px;
+            }
+
+            .list-item.page-placeholder {
+                height: ${this._rowHeight}px;
+                box-sizing: border-box;
+            }
+
+            .grid-card.page-placeholder {
+                height: ${this._cardHeight}px;
+                box-sizing: border-box;
+                overflow: hidden;
+            }
+
+            .skeleton {
+                display: block;
+                height: 12px;
+                border-radius: 4px;
+                background: var(--swivel-skeleton-color);
+                animation: skeleton-pulse 1.5s ease-in-out infinite;
+            }
+
+            .skeleton-text {
+                width: 70%;
+            }
+
+            .skeleton-short {
+                width: 40%;
+            }
+
+            td.numeric .skeleton-short {
+                margin-inline-start: auto;
+            }
+
+            .skeleton-label {
+                width: 30%;
+            }
+
+            .skeleton-rating {
+                width: 80px;
+            }
+
+            .skeleton-thumbnail {
+                width: 40px;
+                height: 40px;
+            }
+
+            .skeleton-image {
+                width: 100%;
+                height: 120px;
+                margin-bottom: 12px;
+            }
+
+            @keyframes skeleton-pulse {
+                50% { opacity: 0.4; }
+            }
+
+            @media (prefers-reduced-motion: reduce) {
+                .skeleton {
+                    animation: none;
+                }
+            }
+
+            /* Windowed paging restores the scroll position itself when pages are swapped */
+            .scroll-container.windowed {
+                overflow-anchor: none;
+            }
+
+            .virtual-spacer td {
+                padding: 0;
+                border: 0;
+            }
+
+            td.numeric,
+            th.numeric {
+                text-align: end;
+                font-variant-numeric: tabular-nums;
+            }
+
+            .table-image {
+                width: 40px;
+                height: 40px;
+                object-fit: cover;
+                border-radius: 4px;
+            }
+
+            .table-image-placeholder {
+                width: 40px;
+                height: 40px;
+                background: var(--swivel-surface-alt);
+                border: 1px dashed var(--swivel-placeholder-border-color);
+                border-radius: 4px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: 12px;
+                color: var(--swivel-muted-color);
+            }
+
+            /* Rating Styles */
+            .rating {
+                display: inline-flex;
+                align-items: center;
+                gap: 2px;
+            }
+
+            .rating-star {
+                color: var(--swivel-star-color);
+                font-size: 16px;
+            }
+
+            .rating-star.empty {
+                color: var(--swivel-star-empty-color);
+            }
+
+            .rating-text {
+                margin-inline-start: 4px;
+                font-size: 0.9em;
+                color: var(--swivel-muted-color);
+            }
+
+            /* Empty state */
+            .empty-state {
+                padding: 48px 24px;
+                text-align: center;
+                color: var(--swivel-muted-color);
+            }
+
+            .empty-state h3 {
+                margin: 0 0 8px 0;
+                color: var(--swivel-text-color);
+            }
+
+            /* Screen reader only text */
+            .sr-only {
+                position: absolute;
+                width: 1px;
+                height: 1px;
+                padding: 0;
+                margin: -1px;
+                overflow: hidden;
+                clip: rect(0, 0, 0, 0);
+                white-space: nowrap;
+                border: 0;
+            }
+
+            /* Template container styles */
+            .template-content {
+                display: contents;
+            }
+
+            /* Holds the nodes of a cellRenderer/headerRenderer or light-DOM template */
+            .node-content {
+                display: contents;
+            }
+
+            /* Load more section styles */
+            .load-more-section {
+                padding: 20px;
+                text-align: center;
+                border-top: 1px solid var(--swivel-border-color);
+                background: var(--swivel-surface-alt);
+            }
+
+            .load-more-button {
+                padding: 12px 24px;
+                background: var(--swivel-accent-color);
+                color: var(--swivel-accent-contrast-color);
+                border: none;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 14px;
+                font-weight: 500;
+                transition: background-color 0.2s;
+            }
+
+            .load-more-button:hover {
+                background: var(--swivel-accent-hover-color);
+            }
+
+            .load-more-button:disabled {
+                background: var(--swivel-disabled-color);
+                cursor: not-allowed;
+            }
+
+            .spinner {
+                display: inline-block;
+                width: 20px;
+                height: 20px;
+                border: 2px solid var(--swivel-border-color);
+                border-top: 2px solid var(--swivel-accent-color);
+                border-radius: 50%;
+                animation: spin 1s linear infinite;
+                margin-inline-end: 8px;
+            }
+
+            @keyframes spin {
+                0% { transform: rotate(0deg); }
+                100% { transform: rotate(360deg); }
+            }
+
+            /* Responsive - cards follow the scroll container's width, the viewport caps the height */
+            @container (max-width: 768px) {
+                .grid-container {
+                    grid-template-columns: 1fr;
+                }
+            }
+
+            @media (max-width: 768px) {
+                :host {
+                    --swivel-max-height: 400px;
+                }
+            }
+        `;
+    }
+
+    // Token block for the current theme and density. "auto" starts light and switches with prefers-color-scheme;
+    // the tokens sit on :host so page styles on the element override them
+    _getThemeStyles() {
+        const preset = DENSITY_PRESETS[this._density];
+        const declarations = tokens => Object.entries(tokens).map(([name, value]) => `${name}: ${value};`).join(' ');
+        const shared = declarations({
+            ...BASE_TOKENS,
+            '--swivel-cell-padding': preset.cellPadding,
+            '--swivel-card-padding': `${preset.cardPadding}px`,
+            '--swivel-field-gap': `${preset.fieldGap}px`,
+            '--swivel-card-gap': `${preset.gap}px`,
+            '--swivel-grid-padding': `${preset.padding}px`
+        });
+
+        if (this._theme === 'auto') {
+            return `
+                :host { ${declarations(THEME_TOKENS.light)} color-scheme: light dark; ${shared} }
+                @media (prefers-color-scheme: dark) {
+                    :host { ${declarations(THEME_TOKENS.dark)} color-scheme: light dark; }
+                }
+            `;
+        }
+        return `:host { ${declarations(THEME_TOKENS[this._theme])} ${shared} }`;
+    }
+
+    _normalizeTheme(value) {
+        return value === 'dark' || value === 'auto' ? value : 'light';
+    }
+
+    _normalizeDensity(value) {
+        return Object.hasOwn(DENSITY_PRESETS, value) ? value : 'comfortable';
+    }
+
+    // Card gap and grid padding in px. Read from the rendered grid so --swivel-card-gap and
+    // --swivel-grid-padding overrides reach the virtual window arithmetic
+    _getGridSpacing() {
+        if (!this._gridSpacing) {
+            const preset = DENSITY_PRESETS[this._density];
+            const container = this.shadowRoot?.querySelector('.grid-container');
+            const style = container ? getComputedStyle(container) : null;
+            const gap = parseFloat(style?.columnGap);
+            const padding = parseFloat(style?.paddingLeft);
+            this._gridSpacing = {
+                gap: Number.isFinite(gap) ? gap : preset.gap,
+                padding: Number.isFinite(padding) ? padding : preset.padding
+            };
+        }
+        return this._gridSpacing;
+    }
+
+    _getMinCardWidth() {
+        if (!this._schema.length) return 240;
+        const minWidths = this._schema
+            .map(col => col.minWidth)
+            .filter(Boolean)
+            .map(width => /px$/.test(width) ? parseInt(width, 10) : NaN)
+            .filter(Number.isFinite);
+        return minWidths.length ? Math.max(...minWidths) : 240;
+    }
+
+    _renderLayout() {
+        // The first page is loading - an empty layout that _syncLoadingSkeletons() fills
+        const awaitingRows = !this._rows.length && this._loading && !this._isGrouped();
+        if (!this._getVisibleColumns().length || (!this._rows.length && !awaitingRows)) {
+            return this._renderEmptyState();
+        }
+
+        if (!this._viewRows.length && !awaitingRows) {
+            return this._renderEmptyState(true);
+        }
+
+        return this._getLayout().render.call(this, this._getLayoutContext());
+    }
+
+    _getLayout() {
+        return LAYOUTS.get(this._layoutType) || LAYOUTS.get('grid');
+    }
+
+    // Unknown names fall back to cards, the default layout
+    _normalizeLayoutType(value) {
+        return LAYOUTS.has(value) ? value : 'grid';
+    }
+
+    _normalizeLayoutMode(value) {
+        return value === 'auto' ? 'auto' : this._normalizeLayoutType(value);
+    }
+
+    // { layout: minWidth } or "layout:minWidth, ..." - a layout without a width applies from 0
+    _normalizeLayoutBreakpoints(value) {
+        const entries = typeof value === 'string'
+            ? value.split(',').filter(part => part.trim()).map(part => part.split(':').map(item => item.trim()))
+            : Object.entries(value && typeof value === 'object' ? value : {});
+        const breakpoints = [];
+        entries.forEach(([layout, minWidth = 0]) => {
+            const width = Number(minWidth);
+            if (!LAYOUTS.has(layout) || !Number.isFinite(width) || width < 0) {
+                console.warn(`SwivelGrid: Ignoring layout breakpoint "${layout}:${minWidth}".`);
+                return;
+            }
+            breakpoints.push({ layout, minWidth: width });
+        });
+        breakpoints.sort((a, b) => a.minWidth - b.minWidth);
+        return breakpoints.length ? breakpoints : this._normalizeLayoutBreakpoints(DEFAULT_LAYOUT_BREAKPOINTS);
+    }
+
+    // The layout of the widest breakpoint the element reaches. Narrower than every breakpoint, or not
+    // measured yet, it gets the first one
+    _resolveLayout() {
+        if (this._layoutMode !== 'auto') return this._layoutMode;
+        const reached = this._layoutBreakpoints.filter(({ minWidth }) => this._width >= minWidth);
+        return (reached[reached.length - 1] || this._layoutBreakpoints[0]).layout;
+    }
+
+    _setLayoutMode(value, reason = 'layoutType') {
+        this._layoutMode = this._normalizeLayoutMode(value);
+        this._observeWidth();
+        this._switchLayout(this._resolveLayout(), reason);
+    }
+
+    // "auto" follows the element's own width, not the viewport's. A hidden grid (width 0) keeps its layout
+    _observeWidth() {
+        this._widthObserver?.disconnect();
+        if (this._layoutMode !== 'auto' || !this.isConnected || typeof ResizeObserver === 'undefined') return;
+
+        this._widthObserver ??= new ResizeObserver(([entry]) => {
+            const width = entry.contentRect.width;
+            if (!width || width === this._width) return;
+            this._width = width;
+            this._switchLayout(this._resolveLayout(), 'breakpoint');
+        });
+        this._widthObserver.observe(this);
+    }
+
+    // Re-renders in the new layout with the same sort, loaded pages and current page, scrolled so the
+    // first row in view stays first
+    _switchLayout(layout, reason) {
+        const previousLayout = this._layoutType;
+        if (layout === previousLayout) return;
+
+        const anchor = this._viewRows.length && this._scrollContainer ? this._getVisibleRange().start : -1;
+        const currentPage = this._currentPage;
+        this._layoutType = layout;
+        this.render();
+        this._currentPage = currentPage;
+        this._scrollRowToTop(anchor);
+
+        if (this.isConnected) {
+            this._dispatchEvent('layoutChange', { layout, previousLayout, reason, width: this._width });
+        }
+    }
+
+    // What a layout renders with. Items carry itemAttributes() to take part in selection, keyboard
+    // navigation and details
+    _getLayoutContext() {
+        const context = {
+            rows: this._viewRows,
+            columns: this._getVisibleColumns(),
+            renderValue: (row, column) => this._renderCellContent(row?.[column.key], column, false, row),
+            itemAttributes: (row, index) => this._getLayoutItemAttributes(row, index),
+            renderItems: () => this._renderItems((row, index) => this._renderLayoutItems([row], index, context))
+        };
+        return context;
+    }
+
+    _getLayoutItemAttributes(row, index) {
+        const selected = this._selection.has(row);
+        return `part="row${selected ? ' row-selected' : ''}" role="gridcell" tabindex="-1" data-index="${index}" ${this._getSelectionAttributes(row)} ${this._getExpandedAttribute(row)}`;
+    }
+
+    // Rows from firstIndex on, through the layout's renderAppended(). Placeholders become skeletons
+    // here, so layouts only ever render loaded rows
+    _renderLayoutItems(rows, firstIndex, context = this._getLayoutContext()) {
+        const layout = this._getLayout();
+        let html = '';
+        let start = 0;
+        const flush = end => {
+            if (end > start) html += layout.renderAppended.call(this, rows.slice(start, end), firstIndex + start, context);
+        };
+        rows.forEach((row, i) => {
+            if (!this._isPlaceholderRow(row)) return;
+            flush(i);
+            html += this._renderSkeletonItem(firstIndex + i, '', context);
+            start = i + 1;
+        });
+        flush(rows.length);
+        return html;
+    }
+
+    _renderEmptyState(filtered = false) {
+        if (filtered) {
+            return `
+                <div class="empty-state" part="empty-state">
+                    <h3>${this._escapeHtml(this._formatMessage('noMatchesTitle'))}</h3>
+                    <p>${this._escapeHtml(this._formatMessage('noMatchesDescription'))}</p>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="empty-state" part="empty-state">
+                <h3>${this._escapeHtml(this._formatMessage('emptyTitle'))}</h3>
+                <p>${this._escapeHtml(this._formatMessage('emptyDescription'))}</p>
+            </div>
+        `;
+    }
+
+    _renderTable() {
+        const virtual = this._isVirtualized() ? this._computeVirtualRange() : null;
+        
+        return `
+            <div class="table-container">
+                <table class="${virtual ? 'virtual' : ''}" part="table" role="grid"
+                    ${virtual ? `aria-rowcount="${this._viewRows.length + 1}"` : ''}
+                    ${this._selectionMode === 'multi' ? 'aria-multiselectable="true"' : ''}>
+                    <thead>
+                        <tr part="header-row" role="row">
+                            ${this._renderDetailHeader()}
+                            ${this._renderSelectAllHeader()}
+                            ${this._getVisibleColumns().map(col => `
+                                <th class="${this._getSortClass(col)}${this._isNumericColumn(col) ? ' numeric' : ''}" 
+                                    part="header"
+                                    data-key="${col.key}"
+                                    draggable="true"
+                                    ${this._getSortPriorityAttribute(col)}
+                                    style="${this._getColumnStyles(col)}"
+                                    role="columnheader"
+                                    scope="col"
+                                    tabindex="-1"
+                                    aria-sort="${this._getAriaSort(col)}"
+                                    aria-disabled="${col.sortable === false ? 'true' : 'false'}">
+                                    ${this._renderHeaderContent(col)}
+                                    ${this._renderSortPriority(col)}
+                                    <span class="resize-handle" aria-hidden="true"></span>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody data-items>
+                        ${virtual ? this._renderTableWindow(virtual) : this._renderItems((row, index) => this._renderTableItem(row, index))}
+                    </tbody>
+                    ${this._renderTableFooter()}
+                </table>
+            </div>
+        `;
+    }
+
+    _renderTableWindow(range) {
+        const spacer = height => height > 0
+            ? `<tr class="virtual-spacer" aria-hidden="true"><td colspan="${this._getColumnCount()}" style="height: ${height}px"></td></tr>`
+            : '';
+        
+        // aria-rowindex is 1-based and the header row takes index 1
+        const rows = this._viewRows.slice(range.start, range.end).map((row, i) =>
+            this._renderTableItem(row, range.start + i, `aria-rowindex="${range.start + i + 2}"`)
+        ).join('');
+        
+        return `${spacer(range.before)}${rows}${spacer(range.after)}`;
+    }
+
+    _renderTableItem(row, index, attributes = '') {
+        if (this._isPlaceholderRow(row)) return this._renderSkeletonItem(index, attributes);
+        return `
+            <tr class="${this._selection.has(row) ? 'selected' : ''}" part="row${this._selection.has(row) ? ' row-selected' : ''}" role="row" data-index="${index}" ${this._getSelectionAttributes(row)} ${this._getExpandedAttribute(row)} ${attributes}>
+                ${this._renderDetailToggleCell(row)}
+                ${this._renderSelectionCell(row)}
+                ${this._renderTableRow(row)}
+            </tr>
+        `;
+    }
+
+    // Stand-in for a row that hasn't loaded, through the layout's renderSkeleton() or a card. Without an
+    // index it's one of the loading skeletons after the last row, which isn't navigable
+    _renderSkeletonItem(index, attributes = '', context = this._getLayoutContext()) {
+        const item = index === null
+            ? 'class="page-placeholder loading-skeleton" aria-hidden="true"'
+            : `class="page-placeholder" data-index="${index}" aria-busy="true" role="gridcell" tabindex="-1" ${attributes}`;
+        const layout = this._getLayout();
+        return layout.renderSkeleton
+            ? layout.renderSkeleton.call(this, index, item, context)
+            : this._renderGridSkeleton(item);
+    }
+
+    // Skeletons are shaped after each column's type
+    _renderGridSkeleton(attributes) {
+        const columns = this._getVisibleColumns();
+        return `
+            <div ${attributes.replace('class="', 'class="grid-card ')} part="card card-placeholder">
+                ${columns.some(col => col.type === 'image') ? '<span class="skeleton skeleton-image"></span>' : ''}
+                ${columns.filter(col => col.type !== 'image').map(col => `
+                    <div class="grid-field">
+                        <span class="skeleton skeleton-label"></span>
+                        ${this._renderSkeletonShape(col, true)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // The cells take the navigation attributes, so the row only keeps role="row"
+    _renderTableSkeleton(index, attributes) {
+        const cell = index === null ? '' : 'role="gridcell" tabindex="-1"';
+        return `
+            <tr ${attributes.replace('role="gridcell" tabindex="-1"', 'role="row"')} part="row row-placeholder">
+                ${this._hasDetails() ? `<td class="detail-column" ${cell}></td>` : ''}
+                ${this._selectionMode === 'multi' ? `<td class="select-column" ${cell}></td>` : ''}
+                ${this._getVisibleColumns().map(col => `
+                    <td ${cell} class="${this._isNumericColumn(col) ? 'numeric' : ''}" style="${this._getColumnStyles(col)}">${this._renderSkeletonShape(col, false)}</td>
+                `).join('')}
+            </tr>
+        `;
+    }
+
+    _renderListSkeleton(attributes) {
+        return `
+            <div ${attributes.replace('class="', 'class="list-item ')} part="row row-placeholder">
+                ${this._getVisibleColumns().some(col => col.type === 'image') ? '<span class="skeleton skeleton-thumbnail"></span>' : ''}
+                <div class="list-body">
+                    <span class="skeleton skeleton-text"></span>
+                    <span class="skeleton skeleton-text skeleton-short"></span>
+                </div>
+            </div>
+        `;
+    }
+
+    _renderSkeletonShape(column, inCard) {
+        if (column.type === 'image') return '<span class="skeleton skeleton-thumbnail"></span>';
+        if (column.type === 'rating') return '<span class="skeleton skeleton-rating"></span>';
+        const short = inCard || this._isNumericColumn(column) || DATE_TYPES.includes(column.type);
+        return `<span class="skeleton skeleton-text${short ? ' skeleton-short' : ''}"></span>`;
+    }
+
+    // Keeps the loading skeletons after the last row in step with the loading flag. A virtual window
+    // has no end to add them to, and a data source reloading from page 1 keeps its rows until then
+    _syncLoadingSkeletons() {
+        const container = this.shadowRoot?.querySelector('[data-items]');
+        if (!container) return;
+        
+        container.querySelectorAll(':scope > .loading-skeleton').forEach(item => item.remove());
+        if (!this._loading || this._isGrouped() || this._isVirtualized()) return;
+        if (this._dataSource && ![...this._pendingPages.keys()].some(page => page > this._getLoadedPageCount())) return;
+        
+        const template = document.createElement('template');
+        template.innerHTML = Array.from({ length: LOADING_SKELETON_COUNT }, () => this._renderSkeletonItem(null)).join('');
+        container.append(template.content);
+        this._observeMasonryItems();
+    }
+
+    _getColumnCount() {
+        return this._getVisibleColumns().length + (this._selectionMode === 'multi' ? 1 : 0) + (this._hasDetails() ? 1 : 0);
+    }
+
+    _renderTableRow(row) {
+        return this._getVisibleColumns().map(col => `
+            <td role="gridcell" part="cell" tabindex="-1" data-key="${col.key}" class="${this._getCellClass(col)}" style="${this._getColumnStyles(col)}">
+                ${this._renderCellContent(row[col.key], col, false, row)}
+            </td>
+        `).join('');
+    }
+
+    _getCellClass(column) {
+        const classes = [];
+        if (this._isEditable(column)) classes.push('editable');
+        if (this._isNumericColumn(column)) classes.push('numeric');
+        return classes.join(' ');
+    }
+
+    _renderGrid() {
+        const virtual = this._isVirtualized() ? this._computeVirtualRange() : null;
+        
+        // Cards form a single grid row; arrow keys move through it in two dimensions
+        return `
+            <div class="grid-layout" role="grid"
+                ${virtual ? `aria-colcount="${this._viewRows.length}"` : ''}
+                ${this._selectionMode === 'multi' ? 'aria-multiselectable="true"' : ''}>
+                <div class="grid-container card-image-${this._cardImagePosition}${virtual ? ' virtual' : ''}" part="grid" role="row" data-items ${virtual ? `style="${this._getGridWindowStyle(virtual)}"` : ''}>
+                    ${virtual ? this._renderGridWindow(virtual) : this._renderItems((row, index) => this._renderGridItem(row, index))}
+                </div>
+            </div>
+            ${this._renderSummaryBar()}
+        `;
+    }
+
+    _renderGridWindow(range) {
+        return this._viewRows.slice(range.start, range.end).map((row, i) =>
+            this._renderGridItem(row, range.start + i, `aria-colindex="${range.start + i + 1}"`)
+        ).join('');
+    }
+
+    _renderGridItem(row, index, attributes = '') {
+        if (this._isPlaceholderRow(row)) return this._renderSkeletonItem(index, attributes);
+        
+        const classes = ['grid-card'];
+        if (this._selectionMode !== 'none') classes.push('selectable');
+        if (this._selection.has(row)) classes.push('selected');
+        
+        return `
+            <div class="${classes.join(' ')}" part="card${this._selection.has(row) ? ' card-selected' : ''}" role="gridcell" tabindex="-1" data-index="${index}" ${this._getSelectionAttributes(row)} ${this._getExpandedAttribute(row)} ${attributes}>
+                ${this._selectionMode === 'multi' ? `
+                    <label class="card-select">
+                        <input type="checkbox" class="row-select" tabindex="-1" aria-label="${this._escapeHtml(this._formatMessage('selectItem'))}" ${this._selection.has(row) ? 'checked' : ''} />
+                    </label>
+                ` : ''}
+                ${this._renderGridCard(row, index)}
+                ${this._hasDetails() ? this._renderDetailToggle(row, true) : ''}
+            </div>
+        `;
+    }
+
+    // Compact rows: thumbnail, title and secondary text, and a trailing value. Columns with a
+    // cardRole keep it here; otherwise the first field is the title and the first numeric one trails
+    _renderList() {
+        return `
+            <div class="list-layout" role="grid" ${this._selectionMode === 'multi' ? 'aria-multiselectable="true"' : ''}>
+                <div class="list-container" part="list" role="row" data-items>
+                    ${this._renderItems((row, index) => this._renderListItem(row, index))}
+                </div>
+            </div>
+            ${this._renderSummaryBar()}
+        `;
+    }
+
+    _renderListItem(row, index) {
+        if (this._isPlaceholderRow(row)) return this._renderSkeletonItem(index);
+        
+        const columns = this._getVisibleColumns().filter(col => col.cardRole !== 'hidden');
+        const imageCol = columns.find(col => col.type === 'image');
+        const withRole = role => columns.filter(col => col !== imageCol && col.cardRole === role);
+        const fields = columns.filter(col => col.type !== 'image' && !CARD_ROLES.includes(col.cardRole));
+        const titles = withRole('title').length ? withRole('title') : fields.slice(0, 1);
+        const trailing = withRole('footer').length
+            ? withRole('footer')
+            : fields.filter(col => !titles.includes(col) && this._isNumericColumn(col)).slice(0, 1);
+        const secondary = withRole('subtitle').length
+            ? withRole('subtitle')
+            : fields.filter(col => !titles.includes(col) && !trailing.includes(col));
+        const selected = this._selection.has(row);
+        const labelId = `label-${Math.random().toString(36).substr(2, 9)}`;
+        const value = (col, role, attributes = '') => `
+            <span class="list-${role} card-value${this._isEditable(col) ? ' editable' : ''}" part="list-${role}" data-key="${col.key}" ${this._isEditable(col) ? 'tabindex="-1"' : ''} ${attributes}>${this._renderCellContent(row[col.key], col, false, row)}</span>
+        `;
+        
+        return `
+            <div class="list-item${this._selectionMode !== 'none' ? ' selectable' : ''}${selected ? ' selected' : ''}" part="row list-item${selected ? ' row-selected' : ''}" role="gridcell" tabindex="-1" data-index="${index}" ${this._getSelectionAttributes(row)} ${this._getExpandedAttribute(row)}>
+                ${this._selectionMode === 'multi' ? `
+                    <label class="list-select">
+                        <input type="checkbox" class="row-select" tabindex="-1" aria-label="${this._escapeHtml(this._formatMessage('selectItem'))}" ${selected ? 'checked' : ''} />
+                    </label>
+                ` : ''}
+                ${imageCol ? `<div class="list-thumbnail" part="list-thumbnail">${this._renderCellContent(row[imageCol.key], imageCol, false, row)}</div>` : ''}
+                <div class="list-body" role="group" ${titles.length ? `aria-labelledby="${labelId}"` : ''}>
+                    <div class="list-heading">
+                        ${titles.map((col, i) => value(col, 'title', i === 0 ? `id="${labelId}"` : '')).join('')}
+                        ${withRole('badge').map(col => value(col, 'badge')).join('')}
+                    </div>
+                    ${secondary.length ? `
+                        <div class="list-secondary-text">${secondary.map(col => value(col, 'secondary')).join('<span aria-hidden="true"> · </span>')}</div>
+                    ` : ''}
+                </div>
+                ${trailing.length ? `<div class="list-trailing-values">${trailing.map(col => value(col, 'trailing')).join('')}</div>` : ''}
+                ${this._hasDetails() ? this._renderDetailToggle(row) : ''}
+            </div>
+        `;
+    }
+
+    // Cards of their own height, packed into the grid's columns. _observeMasonryItems() sizes them
+    _renderMasonry() {
+        return `
+            <div class="grid-layout" role="grid" ${this._selectionMode === 'multi' ? 'aria-multiselectable="true"' : ''}>
+                <div class="grid-container masonry-container card-image-${this._cardImagePosition}" part="grid masonry" role="row" data-items>
+                    ${this._renderItems((row, index) => this._renderGridItem(row, index))}
+                </div>
+            </div>
+            ${this._renderSummaryBar()}
+        `;
+    }
+
+    // Each masonry item spans as many 1px grid rows as it is tall (plus the gap), so shorter cards pack
+    // in under each other. Without ResizeObserver the container stays an ordinary card grid
+    _observeMasonryItems() {
+        const container = this.shadowRoot?.querySelector('.masonry-container');
+        if (!container || typeof ResizeObserver === 'undefined') {
+            this._masonryObserver?.disconnect();
+            return;
+        }
+        
+        this._masonryObserver ??= new ResizeObserver(entries => {
+            const { gap } = this._getGridSpacing();
+            entries.forEach(({ target }) => {
+                target.style.gridRowEnd = `span ${Math.ceil(target.getBoundingClientRect().height + gap)}`;
+            });
+        });
+        container.querySelectorAll(':scope > :not([style*="grid-row-end"])').forEach(item => this._masonryObserver.observe(item));
+        container.classList.add('measured');
+    }
+
+    _renderItems(renderItem) {
+        if (!this._isGrouped()) {
+            return this._viewRows.map((row, index) => renderItem(row, index)).join('');
+        }
+
+        // _viewRows is already ordered by group, so a header starts wherever a group path changes
+        const keys = this._getGroupKeys();
+        const allPaths = this._viewRows.map(row => keys.map((key, depth) => this._getGroupPath(row, depth)));
+        const hasSummaries = this._getAggregateColumns().length > 0;
+        
+        return this._viewRows.map((row, index) => {
+            const paths = allPaths[index];
+            const previous = allPaths[index - 1] || [];
+            const next = allPaths[index + 1] || [];
+            // Nested headers and summaries are hidden along with the rows of a collapsed parent
+            const isShown = depth => !paths.slice(0, depth).some(parent => this._collapsedGroups.has(parent));
+            
+            let html = '';
+            paths.forEach((path, depth) => {
+                if (path !== previous[depth] && isShown(depth)) {
+                    html += this._renderGroupHeader(this._groups.get(path), row);
+                }
+            });
+            
+            if (!paths.some(path => this._collapsedGroups.has(path))) {
+                html += renderItem(row, index);
+            }
+            
+            // Summaries close the innermost group first
+            if (hasSummaries) {
+                for (let depth = paths.length - 1; depth >= 0; depth--) {
+                    if (paths[depth] !== next[depth] && isShown(depth)) {
+                        html += this._renderGroupSummary(this._groups.get(paths[depth]));
+                    }
+                }
+            }
+            return html;
+        }).join('');
+    }
+
+    // Group headers and summaries go through the layout's hooks, or are rendered as cards
+    _renderGroupHeader(group, row) {
+        const column = this._schema.find(col => col.key === group.key);
+        const expanded = !this._collapsedGroups.has(group.path);
+        const toggle = `
+            <button type="button" class="group-toggle" data-group-id="${group.id}" aria-expanded="${expanded}">
+                <span class="group-icon" aria-hidden="true">▾</span>
+                <span class="group-label">${this._escapeHtml(column.label)}:</span>
+                <span class="group-value">${this._renderCellContent(group.value, column, false, row, { slot: 'group' })}</span>
+                <span class="group-count">${this._escapeHtml(this._formatMessage('groupCount', { count: group.count }))}</span>
+            </button>
+        `;
+        
+        const layout = this._getLayout();
+        if (layout.renderGroupHeader) return layout.renderGroupHeader.call(this, group, toggle, this._getLayoutContext());
+        return `
+            <div class="group-heading" part="group-header" role="gridcell" data-group-id="${group.id}" style="padding-inline-start: ${group.depth * 20}px">${toggle}</div>
+        `;
+    }
+
+    _renderGroupSummary(group) {
+        const summary = this._renderSummaryItems(group.aggregates);
+        const layout = this._getLayout();
+        if (layout.renderGroupSummary) return layout.renderGroupSummary.call(this, group, summary, this._getLayoutContext());
+        return `
+            <div class="group-summary" part="group-summary" role="gridcell" data-group-summary="${group.id}" style="padding-inline-start: ${group.depth * 20}px">
+                ${summary}
+            </div>
+        `;
+    }
+
+    _renderTableGroupHeader(group, toggle) {
+        return `
+            <tr class="group-header" part="group-header" role="row" data-group-id="${group.id}">
+                <td role="gridcell" colspan="${this._getColumnCount()}" style="padding-inline-start: ${8 + group.depth * 20}px">${toggle}</td>
+            </tr>
+        `;
+    }
+
+    _renderTableGroupSummary(group) {
+        return `
+            <tr class="group-summary" part="group-summary" role="row" data-group-summary="${group.id}">
+                ${this._renderSummaryCells(group.aggregates)}
+            </tr>
+        `;
+    }
+
+    _renderTableFooter() {
+        if (!this._getVisibleColumns().some(col => col.aggregate)) return '';
+        return `
+            <tfoot>
+                <tr class="summary-row" part="summary" role="row">
+                    ${this._renderSummaryCells(this._aggregates)}
+                </tr>
+            </tfoot>
+        `;
+    }
+
+    _renderSummaryBar() {
+        if (!this._getVisibleColumns().some(col => col.aggregate)) return '';
+        return `<div class="summary-bar" part="summary" aria-label="${this._escapeHtml(this._formatMessage('summary'))}">${this._renderSummaryItems(this._aggregates)}</div>`;
+    }
+
+    _renderSummaryCells(states) {
+        const selectCell = this._selectionMode === 'multi' ? '<td class="select-column"></td>' : '';
+        const detailCell = this._hasDetails() ? '<td class="detail-column"></td>' : '';
+        return detailCell + selectCell + this._getVisibleColumns().map(col => {
+            if (!col.aggregate) return `<td style="${this._getColumnStyles(col)}"></td>`;
+            return `
+                <td data-key="${col.key}" data-aggregate-key="${col.key}" class="${this._isNumericColumn(col) ? 'numeric' : ''}" style="${this._getColumnStyles(col)}">
+                    ${AGGREGATE_MESSAGES[col.aggregate] ? `<span class="aggregate-label">${this._escapeHtml(this._formatMessage(AGGREGATE_MESSAGES[col.aggregate]))}</span>` : ''}
+                    <span class="aggregate-value">${this._renderAggregateValue(col, states)}</span>
+                </td>
+            `;
+        }).join('');
+    }
+
+    _renderSummaryItems(states) {
+        return this._getVisibleColumns().filter(col => col.aggregate).map(col => {
+            const label = AGGREGATE_MESSAGES[col.aggregate]
+                ? this._formatMessage('aggregateOf', { aggregate: this._formatMessage(AGGREGATE_MESSAGES[col.aggregate]), label: col.label })
+                : col.label;
+            return `
+                <span class="summary-item" data-aggregate-key="${col.key}">
+                    <span class="aggregate-label">${this._escapeHtml(label)}:</span>
+                    <span class="aggregate-value">${this._renderAggregateValue(col, states)}</span>
+                </span>
+            `;
+        }).join('');
+    }
+
+    _getGridWindowStyle(range) {
+        // Padding stands in for the card rows above and below the window
+        const { padding } = this._getGridSpacing();
+        return `padding-top: ${padding + range.before}px; padding-bottom: ${padding + range.after}px`;
+    }
+
+    // Group headers break the fixed row pitch the window arithmetic relies on
+    _isVirtualized() {
+        return this._canVirtualize() && !this._isGrouped();
+    }
+
+    // Only rows and card grids have a fixed pitch
+    _canVirtualize() {
+        return this._virtual && (this._layoutType === 'table' || this._layoutType === 'grid');
+    }
+
+    _getVirtualMetrics() {
+        if (this._layoutType === 'table') {
+            return { itemsPerLine: 1, pitch: this._rowHeight, offset: this._virtualOffset };
+        }
+        const { gap, padding } = this._getGridSpacing();
+        return { itemsPerLine: this._getGridColumnCount(), pitch: this._cardHeight + gap, offset: padding };
+    }
+
+    _getGridColumnCount() {
+        // Mirrors the container query in _getStyles() that forces a single column, so it measures
+        // the same box
+        const width = this._scrollContainer?.clientWidth || this.clientWidth;
+        if (!width || width <= 768) return 1;
+        
+        // Same arithmetic as repeat(auto-fill, minmax(minCardWidth, 1fr))
+        const { gap, padding } = this._getGridSpacing();
+        const available = width - padding * 2 + gap;
+        return Math.max(1, Math.floor(available / (this._getMinCardWidth() + gap)));
+    }
+
+    _computeVirtualRange() {
+        const total = this._viewRows.length;
+        const { itemsPerLine, pitch, offset } = this._getVirtualMetrics();
+        const container = this._scrollContainer;
+        const scrollTop = container ? container.scrollTop : 0;
+        const viewport = container?.clientHeight || 600;
+        
+        const totalLines = Math.ceil(total / itemsPerLine);
+        const lastLineIndex = Math.max(0, totalLines - 1);
+        const firstLine = Math.min(lastLineIndex, Math.max(0, Math.floor((scrollTop - offset) / pitch)));
+        const lastLine = Math.min(lastLineIndex, Math.max(firstLine, Math.floor((scrollTop + viewport - offset - 1) / pitch)));
+        
+        const startLine = Math.max(0, firstLine - this._overscan);
+        const endLine = Math.min(totalLines, lastLine + 1 + this._overscan);
+        
+        return {
+            start: startLine * itemsPerLine,
+            end: Math.min(total, endLine * itemsPerLine),
+            visibleStart: firstLine * itemsPerLine,
+            visibleEnd: Math.max(0, Math.min(total, (lastLine + 1) * itemsPerLine) - 1),
+            before: startLine * pitch,
+            after: (totalLines - endLine) * pitch
+        };
+    }
+
+    _updateVirtualWindow(force = false) {
+        const range = this._computeVirtualRange();
+        const previous = this._virtualRange;
+        this._virtualRange = range;
+        
+        if (!force && previous && previous.start === range.start && previous.end === range.end) {
+            return range;
+        }
+        
+        const hadFocus = this._isNavigationFocused();
+        
+        if (this._layoutType === 'table') {
+            const tbody = this.shadowRoot.querySelector('tbody');
+            if (tbody) {
+                tbody.innerHTML = this._renderTableWindow(range);
+                tbody.closest('table').setAttribute('aria-rowcount', String(this._viewRows.length + 1));
+            }
+        } else {
+            const gridContainer = this.shadowRoot.querySelector('.grid-container');
+            if (gridContainer) {
+                gridContainer.innerHTML = this._renderGridWindow(range);
+                gridContainer.setAttribute('style', this._getGridWindowStyle(range));
+                gridContainer.closest('.grid-layout').setAttribute('aria-colcount', String(this._viewRows.length));
+            }
+        }
+        this._mountNodes();
+        this._syncSelectionUI();
+        this._syncRovingTabindex();
+        
+        // Keep focus on the active cell while it stays inside the window
+        if (hadFocus) {
+            this._getNavigableCell(this._focusPosition.row, this._focusPosition.col)?.focus({ preventScroll: true });
+        }
+        
+        return range;
+    }
+
+    _renderGridCard(row, index) {
+        const columns = this._getVisibleColumns().filter(col => col.cardRole !== 'hidden');
+        const imageCol = columns.find(col => col.type === 'image');
+        const withRole = role => columns.filter(col => col !== imageCol && col.cardRole === role);
+        const titles = withRole('title');
+        const fields = columns.filter(col => col.type !== 'image' && !CARD_ROLES.includes(col.cardRole));
+        
+        if (this._cardTemplateRender) {
+            const html = this._renderCardTemplate(row, index, titles[0] || fields[0]);
+            if (html !== null) return html;
+        }
+        
+        let content = '';
+        
+        if (imageCol) {
+            content += `<div class="card-media" part="card-media">${this._renderCellContent(row[imageCol.key], imageCol, true, row)}</div>`;
+        }
+
+        const badges = withRole('badge');
+        const subtitles = withRole('subtitle');
+        const footers = withRole('footer');
+        if (titles.length || subtitles.length || badges.length || fields.length || footers.length) {
+            // The group is named by the title, or by the first field's label when there is none
+            const labelId = `label-${Math.random().toString(36).substr(2, 9)}`;
+            const value = (col, role, tag = 'div', attributes = '') => `
+                <${tag} class="card-${role} card-value${this._isEditable(col) ? ' editable' : ''}" part="card-${role}" data-key="${col.key}" ${this._isEditable(col) ? 'tabindex="-1"' : ''} ${attributes}>${this._renderCellContent(row[col.key], col, false, row)}</${tag}>
+            `;
+            
+            content += `
+                <section class="card-body" role="group" aria-labelledby="${labelId}">
+                    ${badges.length ? `<div class="card-badges">${badges.map(col => value(col, 'badge', 'span')).join('')}</div>` : ''}
+                    ${titles.map((col, i) => value(col, 'title', 'div', `role="heading" aria-level="3" ${i === 0 ? `id="${labelId}"` : ''}`)).join('')}
+                    ${subtitles.map(col => value(col, 'subtitle')).join('')}
+                    ${fields.map((col, i) => `
+                        <div class="grid-field" part="field">
+                            <span class="grid-field-label" part="field-label" ${i === 0 && !titles.length ? `id="${labelId}"` : ''}>${this._renderHeaderContent(col, true)}:</span>
+                            <span class="grid-field-value card-value${this._isEditable(col) ? ' editable' : ''}" part="field-value" data-key="${col.key}" ${this._isEditable(col) ? 'tabindex="-1"' : ''}>${this._renderCellContent(row[col.key], col, false, row)}</span>
+                        </div>
+                    `).join('')}
+                    ${footers.length ? `<div class="card-footer" part="card-footer">${footers.map(col => value(col, 'footer-item', 'span')).join('')}</div>` : ''}
+                </section>
+            `;
+        }
+
+        return content;
+    }
+
+    // A cardTemplate replaces the card's content. Its group is named with the title column's text,
+    // since the template's markup can't point at a label
+    _renderCardTemplate(row, index, labelColumn) {
+        let html;
+        try {
+            html = this._cardTemplateRender({ data: { row, index }, locals: { this: { row, index } }, parent: null });
+        } catch (error) {
+            console.error('Template rendering error:', error);
+            return null;
+        }
+        
+        const labelValue = labelColumn ? row[labelColumn.key] : null;
+        const label = labelValue === null || labelValue === undefined ? '' : this._formatValue(labelValue, labelColumn) ?? '';
+        return `<section class="card-body" role="group" aria-label="${this._escapeHtml(label)}">${html}</section>`;
+    }
+
+    _compileCardTemplate() {
+        this._cardTemplateRender = null;
+        if (!this._cardTemplate) return;
+        try {
+            this._cardTemplateRender = this._compileTemplate(this._sanitizeTemplate(this._cardTemplate, {}, 'cardTemplate'));
+        } catch (error) {
+            console.warn(`SwivelGrid: Invalid cardTemplate, using the default card. ${error.message}`);
+        }
+    }
+
+    _normalizeCardImagePosition(value) {
+        return CARD_IMAGE_POSITIONS.includes(value) ? value : 'top';
+    }
+
+    // Numbers and "w / h" strings, as in CSS aspect-ratio
+    _normalizeAspectRatio(value) {
+        if (typeof value === 'number') return value > 0 ? String(value) : null;
+        const match = typeof value === 'string' && value.match(/^\s*(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+(?:\.\d+)?)\s*)?$/);
+        if (!match || !Number(match[1]) || (match[2] !== undefined && !Number(match[2]))) return null;
+        return match[2] ? `${match[1]} / ${match[2]}` : match[1];
+    }
+
+    _renderCellContent(value, column, isGridImage = false, row = null, { slot = 'cell' } = {}) {
+        // Handle null/empty rows from page gaps
+        if (!row || typeof row !== 'object') {
+            row = {};
+        }
+        
+        // Optional: Build the cell from nodes - a cellRenderer function or a light-DOM template
+        const slotTemplate = this._slotTemplates.get(`cell:${column.key}`);
+        if (typeof column.cellRenderer === 'function' || slotTemplate) {
+            return this._renderNodeSlot(row, `${slot}:${column.key}`, value, column, () => (slotTemplate && typeof column.cellRenderer !== 'function'
+                ? this._instantiateSlotTemplate(slotTemplate, { value, row, column, isGridImage })
+                : column.cellRenderer(value, row, column)));
+        }
+        
+        // Optional: Use custom cell template if provided
+        if (column.cellTemplate) {
+            const html = this._renderTemplate(column, 'cellTemplate', {
+                value,
+                row,
+                column,
+                isGridImage
+            });
+            if (html !== null) return html;
+        }
+
+        // Default behavior: fallback to existing logic
+        if (value === null || value === undefined) {
+            const placeholder = '—';
+            return column.cellClass ? 
+                `<span class="${this._sanitizeClassName(column.cellClass)}">${placeholder}</span>` : 
+                placeholder;
+        }
+
+        let content;
+        switch (column.type) {
+            case 'rating':
+                content = this._renderRating(value);
+                break;
+            case 'image':
+                content = this._renderImage(value, isGridImage);
+                break;
+            case 'number':
+            case 'currency':
+            case 'percent':
+            case 'date':
+            case 'datetime': {
+                const formatted = this._formatValue(value, column);
+                content = formatted === null
+                    ? `<span title="${this._escapeHtml(this._formatMessage('invalidValue', { type: column.type }))}">—</span>`
+                    : this._escapeHtml(formatted);
+                break;
+            }
+            default:
+                content = this._escapeHtml(String(value));
+                break;
+        }
+
+        // Apply cellClass to default content (but not to special types like rating/image)
+        if (column.cellClass && column.type !== 'rating' && column.type !== 'image') {
+            return `<span class="${this._sanitizeClassName(column.cellClass)}">${content}</span>`;
+        }
+        
+        return content;
+    }
+
+    _isNumericColumn(column) {
+        return NUMERIC_TYPES.includes(column.type);
+    }
+
+    // Every Intl constructor throws on a malformed tag such as "en_US", so one falls back to the default
+    _setLocale(value) {
+        this._locale = value || undefined;
+        if (this._locale) {
+            try {
+                Intl.getCanonicalLocales(this._locale);
+            } catch (error) {
+                console.warn(`SwivelGrid: Invalid locale "${this._locale}", using the default.`, error);
+                this._locale = undefined;
+            }
+        }
+        this._formatters = new WeakMap();
+        this._templateFormatters = new Map();
+        this._collator = null;
+        this._pluralRules = null;
+    }
+
+    _getCollator() {
+        if (!this._collator) {
+            try {
+                this._collator = new Intl.Collator(this._locale);
+            } catch (error) {
+                this._collator = new Intl.Collator();
+            }
+        }
+        return this._collator;
+    }
+
+    _getPluralRules() {
+        if (!this._pluralRules) {
+            try {
+                this._pluralRules = new Intl.PluralRules(this._locale);
+            } catch (error) {
+                this._pluralRules = new Intl.PluralRules();
+            }
+        }
+        return this._pluralRules;
+    }
+
+    // Looks a message up in the messages property, then the bundles for the locale and its language,
+    // then English. Returns plain text; callers escape it for markup
+    _formatMessage(key, params = {}) {
+        const pluralRules = this._getPluralRules();
+        const locale = pluralRules.resolvedOptions().locale.toLowerCase();
+        const bundles = [this._messages, LOCALE_MESSAGES.get(locale), LOCALE_MESSAGES.get(locale.split('-')[0]), DEFAULT_MESSAGES];
+        let message = bundles.find(bundle => bundle && Object.hasOwn(bundle, key))?.[key];
+
+        if (typeof message === 'function') return String(message(params));
+        if (message && typeof message === 'object') {
+            const count = Number(params.count);
+            message = message[`=${count}`] ?? message[pluralRules.select(count)] ?? message.other;
+        }
+
+        return String(message ?? key).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!Object.hasOwn(params, name)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this._formatTemplateValue(value, 'number') : String(value);
+        });
+    }
+
+    _formatValue(value, column) {
+        if (NUMERIC_TYPES.includes(column.type)) {
+            const number = this._toNumber(value);
+            return number === null ? null : this._getFormatter(column).format(number);
+        }
+
+        if (DATE_TYPES.includes(column.type)) {
+            const date = this._toDate(value);
+            return date === null ? null : this._getFormatter(column).format(date);
+        }
+
+        return String(value);
+    }
+
+    // Intl formatting for the number/currency/percent/date template pipes
+    _formatTemplateValue(value, kind, options) {
+        const parsed = kind === 'date' ? this._toDate(value) : this._toNumber(value);
+        if (parsed === null) return value;
+
+        const cacheKey = kind + JSON.stringify(options);
+        let formatter = this._templateFormatters.get(cacheKey);
+        if (!formatter) {
+            try {
+                formatter = kind === 'date'
+                    ? new Intl.DateTimeFormat(this._locale, options)
+                    : new Intl.NumberFormat(this._locale, options);
+            } catch (error) {
+                console.warn(`SwivelGrid: Invalid ${kind} format in a template, using defaults.`, error);
+                formatter = kind === 'date' ? new Intl.DateTimeFormat() : new Intl.NumberFormat();
+            }
+            this._templateFormatters.set(cacheKey, formatter);
+        }
+        return formatter.format(parsed);
+    }
+
+    _getFormatter(column) {
+        let formatter = this._formatters.get(column);
+        if (formatter) return formatter;
+
+        const format = column.format && typeof column.format === 'object' ? column.format : {};
+        const hasFormat = Object.keys(format).length > 0;
+        const isDate = DATE_TYPES.includes(column.type);
+
+        let options;
+        switch (column.type) {
+            case 'currency':
+                options = { style: 'currency', currency: 'USD', ...format };
+                break;
+            case 'percent':
+                options = { style: 'percent', maximumFractionDigits: 2, ...format };
+                break;
+            case 'date':
+                // dateStyle can't be combined with individual fields, so it's only a default
+                options = hasFormat ? format : { dateStyle: 'medium' };
+                break;
+            case 'datetime':
+                options = hasFormat ? format : { dateStyle: 'medium', timeStyle: 'short' };
+                break;
+            default:
+                options = format;
+                break;
+        }
+
+        try {
+            formatter = isDate
+                ? new Intl.DateTimeFormat(this._locale, options)
+                : new Intl.NumberFormat(this._locale, options);
+        } catch (error) {
+            console.warn(`SwivelGrid: Invalid format for column "${column.key}", using defaults.`, error);
+            formatter = isDate ? new Intl.DateTimeFormat() : new Intl.NumberFormat();
+        }
+
+        this._formatters.set(column, formatter);
+        return formatter;
+    }
+
+    _toDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value;
+        }
+
+        // Date-only ISO strings are local dates, not UTC midnight
+        const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = dateOnly
+            ? new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]))
+            : (typeof value === 'number' || typeof value === 'string') ? new Date(value) : null;
+        return date && !isNaN(date.getTime()) ? date : null;
+    }
+
+    _renderRating(value) {
+        const rating = this._parseRating(value);
+        if (!rating.isValid) {
+            return `<span title="${this._escapeHtml(this._formatMessage('invalidRating'))}">—</span>`;
+        }
+
+        const stars = [];
+        for (let i = 1; i <= rating.max; i++) {
+            const isFilled = i <= rating.value;
+            stars.push(`<span class="rating-star ${isFilled ? '' : 'empty'}" part="rating-star${isFilled ? '' : ' rating-star-empty'}">★</span>`);
+        }
+
+        const label = this._escapeHtml(this._formatMessage('ratingLabel', { value: rating.value, max: rating.max }));
+        return `
+            <div class="rating" part="rating" aria-label="${label}">
+                ${stars.join('')}
+                <span class="sr-only">${label}</span>
+            </div>
+        `;
+    }
+
+    _renderImage(value, isGridImage = false) {
+        const image = this._parseImage(value);
+        const className = isGridImage ? 'grid-image' : 'table-image';
+        const placeholderClass = isGridImage ? 'grid-image-placeholder' : 'table-image-placeholder';
+        
+        if (!image.src) {
+            return `<div class="${placeholderClass}" part="image-placeholder" title="${this._escapeHtml(this._formatMessage('noImage'))}">📷</div>`;
+        }
+        const failedTitle = this._escapeHtml(this._formatMessage('imageFailed'));
+
+        const id = `img-${Math.random().toString(36).slice(2)}`;
+        queueMicrotask(() => {
+            const img = this.shadowRoot?.getElementById(id);
+            if (img) img.addEventListener('error', () => {
+                img.outerHTML = `<div class="${placeholderClass}" part="image-placeholder" title="${failedTitle}">📷</div>`;
+            }, { once: true });
+        });
+        return `<img id="${id}" class="${className}" part="image" src="${this._escapeHtml(image.src)}" alt="${this._escapeHtml(image.alt)}" />`;
+    }
+
+    _parseRating(value) {
+        if (typeof value === 'object' && value !== null) {
+            return {
+                value: parseInt(value.value) || 0,
+                max: parseInt(value.max) || 5,
+                isValid: !isNaN(value.value)
+            };
+        }
+        
+        if (typeof value === 'string' && value.includes('/')) {
+            const [val, max] = value.split('/').map(s => parseInt(s.trim()));
+            return {
+                value: val || 0,
+                max: max || 5,
+                isValid: !isNaN(val) && !isNaN(max)
+            };
+        }
+        
+        const numValue = parseInt(value);
+        return {
+            value: numValue || 0,
+            max: 5,
+            isValid: !isNaN(numValue)
+        };
+    }
+
+    _parseImage(value) {
+        if (typeof value === 'object' && value !== null) {
+            return {
+                src: value.src || '',
+                alt: value.alt || 'Image'
+            };
+        }
+        
+        return {
+            src: String(value || ''),
+            alt: 'Image'
+        };
+    }
+
+    _bindNavigationListeners() {
+        const container = this.shadowRoot.querySelector('.scroll-container');
+        if (!container) return;
+
+        container.addEventListener('keydown', (e) => this._handleNavigationKeydown(e));
+        
+        // Mouse focus moves the roving tab stop too
+        container.addEventListener('focusin', (e) => {
+            const position = this._getCellPosition(e.target);
+            if (position) {
+                this._focusPosition = position;
+                this._syncRovingTabindex();
+            }
+        });
+    }
+
+    _handleNavigationKeydown(e) {
+        // Only handle keys on the cell itself, not on controls inside custom templates. The editable
+        // fields of a card are the exception: keys other than Tab and Enter act on their card
+        const field = this._layoutType !== 'table' && e.target.matches?.('.card-value.editable') ? e.target : null;
+        const item = field ? field.closest('[data-items] > [data-index]') : e.target;
+        const position = this._getCellPosition(item);
+        if (!position) return;
+
+        // Alt+Down/Alt+Up open and close the details of the focused row or card, as do Enter and Space on the toggle cell
+        if (position.row >= 0 && this._hasDetails()) {
+            const onToggle = e.target.classList.contains('detail-column');
+            const altArrow = e.altKey && (e.key === 'ArrowDown' || e.key === 'ArrowUp');
+            if (altArrow || (onToggle && (e.key === 'Enter' || e.key === ' '))) {
+                e.preventDefault();
+                const row = this._viewRows[position.row];
+                this._setRowExpanded(row, altArrow ? e.key === 'ArrowDown' : !this._expandedRows.has(row));
+                return;
+            }
+        }
+
+        if ((e.key === 'Enter' || e.key === 'F2') && position.row >= 0) {
+            const cell = this._layoutType === 'table'
+                ? e.target
+                : field || item.querySelector('.card-value.editable');
+            if (cell && this._startEdit(cell)) {
+                e.preventDefault();
+            }
+            return;
+        }
+
+        // Tab and Shift+Tab step through a card's editable fields before leaving the grid
+        if (e.key === 'Tab' && this._layoutType !== 'table' && position.row >= 0) {
+            const fields = [...item.querySelectorAll('.card-value.editable')];
+            const index = fields.indexOf(field);
+            const next = e.shiftKey ? field && (fields[index - 1] || item) : fields[index + 1];
+            if (next) {
+                e.preventDefault();
+                next.focus();
+            }
+            return;
+        }
+
+        if (e.key === ' ' && this._selectionMode !== 'none') {
+            if (position.row >= 0) {
+                e.preventDefault();
+                this._selectIndex(position.row, e.shiftKey);
+            } else if (e.target.classList.contains('select-column')) {
+                e.preventDefault();
+                const selectAll = e.target.querySelector('.select-all');
+                this._toggleSelectAll(!selectAll?.checked);
+            }
+            return;
+        }
+
+        const target = this._layoutType === 'table'
+            ? this._getTableNavigationTarget(e, position)
+            : this._getGridNavigationTarget(e, position);
+        if (!target) return;
+
+        e.preventDefault();
+        this._moveFocus(target.row, target.col);
+    }
+
+    // Direction is inherited, so dir="rtl" on the grid or any ancestor mirrors the layout
+    _isRtl() {
+        const direction = getComputedStyle(this).direction || this.closest('[dir]')?.getAttribute('dir');
+        return direction === 'rtl';
+    }
+
+    // Left/right arrows as a step through the columns or cards, following the visual order in RTL
+    _getInlineStep(key) {
+        const step = key === 'ArrowRight' ? 1 : key === 'ArrowLeft' ? -1 : 0;
+        return this._isRtl() ? -step : step;
+    }
+
+    _getTableNavigationTarget(e, { row, col }) {
+        const lastCol = this._getColumnCount() - 1;
+        const ctrl = e.ctrlKey || e.metaKey;
+
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowLeft': return { row, col: Math.min(lastCol, Math.max(0, col + this._getInlineStep(e.key))) };
+            case 'ArrowDown': return { row: this._stepRow(row, 1), col };
+            case 'ArrowUp': {
+                // Moving up from the first row lands on the header
+                const previous = this._stepRow(row, -1);
+                return { row: previous === row ? -1 : previous, col };
+            }
+            case 'Home': return ctrl ? { row: -1, col: 0 } : { row, col: 0 };
+            case 'End': return ctrl ? { row: this._stepRow(this._viewRows.length, -1), col: lastCol } : { row, col: lastCol };
+            case 'PageDown': return { row: this._stepRow(Math.max(0, row), this._getPageStep()), col };
+            case 'PageUp': return { row: Math.max(0, this._stepRow(row, -this._getPageStep())), col };
+            default: return null;
+        }
+    }
+
+    _getGridNavigationTarget(e, { row }) {
+        const last = this._viewRows.length - 1;
+        const columns = this._getRenderedGridColumnCount();
+        const lineStart = row - (row % columns);
+        const ctrl = e.ctrlKey || e.metaKey;
+
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowLeft': return { row: this._stepRow(row, this._getInlineStep(e.key)), col: 0 };
+            case 'ArrowDown': return { row: this._stepRow(row, columns, false), col: 0 };
+            case 'ArrowUp': return { row: this._stepRow(row, -columns, false), col: 0 };
+            case 'Home': return { row: ctrl ? this._stepRow(-1, 1) : lineStart, col: 0 };
+            case 'End': return { row: ctrl ? this._stepRow(last + 1, -1) : Math.min(last, lineStart + columns - 1), col: 0 };
+            case 'PageDown': return { row: this._stepRow(row, columns * this._getPageStep()), col: 0 };
+            case 'PageUp': return { row: this._stepRow(row, -columns * this._getPageStep()), col: 0 };
+            default: return null;
+        }
+    }
+
+    _stepRow(from, delta, partial = true) {
+        // Rows inside collapsed groups aren't rendered, so steps skip over them
+        const direction = Math.sign(delta);
+        let remaining = Math.abs(delta);
+        let result = from;
+        for (let i = from + direction; remaining > 0 && i >= 0 && i < this._viewRows.length; i += direction) {
+            if (!this._isRowCollapsed(this._viewRows[i])) {
+                result = i;
+                remaining--;
+            }
+        }
+        // A partial step stops at the last reachable row, otherwise the focus stays put
+        return remaining > 0 && !partial ? from : result;
+    }
+
+    _getRenderedGridColumnCount() {
+        // Lists and registered layouts step through their items one at a time
+        const container = this.shadowRoot.querySelector('.grid-container');
+        if (!container) return 1;
+
+        // Resolved grid-template-columns lists one track size per column
+        const tracks = getComputedStyle(container).gridTemplateColumns;
+        if (tracks && !/repeat\(|none/.test(tracks)) {
+            return Math.max(1, tracks.trim().split(/\s+/).length);
+        }
+        return this._getGridColumnCount();
+    }
+
+    _getPageStep() {
+        // Lines (rows or card rows) that fit in the viewport
+        const { start, end } = this._getVisibleRange();
+        const itemsPerLine = this._layoutType === 'table' ? 1 : this._getRenderedGridColumnCount();
+        return Math.max(1, Math.floor((end - start + 1) / itemsPerLine) - 1);
+    }
+
+    _moveFocus(row, col, scroll = true) {
+        const minRow = this._layoutType === 'table' ? -1 : 0;
+        row = Math.max(minRow, Math.min(row, this._viewRows.length - 1));
+        col = this._layoutType === 'table' ? Math.max(0, Math.min(col, this._getColumnCount() - 1)) : 0;
+        this._focusPosition = { row, col };
+
+        // Bring rows outside the virtual window into the DOM before focusing them
+        if (this._isVirtualized() && row >= 0 && scroll) {
+            this._scrollRowIntoView(row);
+        }
+
+        this._syncRovingTabindex();
+        this._getNavigableCell(row, col)?.focus({ preventScroll: !scroll });
+
+        // Keyboard movement feeds the same prefetch as scrolling, so unloaded pages are reachable
+        if (row >= 0 && scroll) {
+            const page = Math.max(1, Math.ceil((row + 1) / this._pageSize));
+            this._checkThresholdTrigger(page, row);
+        }
+    }
+
+    _scrollRowToTop(index) {
+        const container = this._scrollContainer;
+        if (!container || index < 0) return;
+
+        if (this._isVirtualized()) {
+            const { itemsPerLine, pitch } = this._getVirtualMetrics();
+            container.scrollTop = Math.floor(index / itemsPerLine) * pitch;
+            this._updateVirtualWindow();
+            return;
+        }
+
+        // The sticky table header covers the top of the viewport
+        const item = container.querySelector(`[data-items] > [data-index="${index}"]`);
+        const header = this.shadowRoot.querySelector('thead')?.offsetHeight || 0;
+        if (item) {
+            container.scrollTop += item.getBoundingClientRect().top - container.getBoundingClientRect().top - header;
+        }
+    }
+
+    _scrollRowIntoView(index) {
+        const container = this._scrollContainer;
+        if (!container) return;
+
+        const { itemsPerLine, pitch, offset } = this._getVirtualMetrics();
+        const top = offset + Math.floor(index / itemsPerLine) * pitch;
+        const viewport = container.clientHeight || 600;
+
+        // The sticky table header covers the first `offset` pixels of the viewport
+        if (top - offset < container.scrollTop) {
+            container.scrollTop = top - offset;
+        } else if (top + pitch > container.scrollTop + viewport) {
+            container.scrollTop = top + pitch - viewport;
+        }
+        this._updateVirtualWindow();
+    }
+
+    _getNavigableCell(row, col) {
+        if (this._layoutType !== 'table') {
+            return this.shadowRoot.querySelector(`[data-items] > [data-index="${row}"]`);
+        }
+        const tr = row < 0
+            ? this.shadowRoot.querySelector('thead tr')
+            : this.shadowRoot.querySelector(`tbody tr[data-index="${row}"]`);
+        return tr?.cells[col] || null;
+    }
+
+    _getCellPosition(element) {
+        if (!element || !element.matches?.('th, td[role="gridcell"], [data-items] > [data-index]:not(tr)')) return null;
+
+        // Outside the table each item is a single cell
+        if (!element.matches('th, td')) {
+            return { row: Number(element.dataset.index), col: 0 };
+        }
+
+        const tr = element.parentElement;
+        // Group header rows hold the group toggle, not a navigable cell
+        if (!tr.closest('thead') && tr.dataset.index === undefined) return null;
+        const row = tr.closest('thead') ? -1 : Number(tr.dataset.index);
+        return { row, col: element.cellIndex };
+    }
+
+    _isNavigationFocused() {
+        return Boolean(this._getCellPosition(this.shadowRoot?.activeElement));
+    }
+
+    _syncRovingTabindex() {
+        if (!this.shadowRoot) return;
+
+        this.shadowRoot.querySelectorAll('[role="grid"] [tabindex="0"]').forEach(el => el.setAttribute('tabindex', '-1'));
+
+        let active = this._getNavigableCell(this._focusPosition.row, this._focusPosition.col);
+        if (!active) {
+            // Fall back to the first rendered cell so the grid always has a tab stop
+            active = this.shadowRoot.querySelector(this._layoutType === 'table' ? 'thead th, tbody tr[data-index] td' : '[data-items] > [data-index]');
+            const position = this._getCellPosition(active);
+            if (position) this._focusPosition = position;
+        }
+        active?.setAttribute('tabindex', '0');
+    }
+
+    _isEditable(column) {
+        // Image columns have no inline editor
+        return Boolean(column.editable) && column.type !== 'image';
+    }
+
+    _bindEditListeners() {
+        const container = this.shadowRoot.querySelector('.scroll-container');
+        if (!container || !this._schema.some(col => this._isEditable(col))) return;
+
+        container.addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('td[data-key], .card-value[data-key]');
+            if (cell) this._startEdit(cell);
+        });
+    }
+
+    _startEdit(cell) {
+        const column = this._schema.find(col => col.key === cell.dataset.key);
+        const item = cell.closest('[data-index]');
+        const row = item ? this._viewRows[Number(item.dataset.index)] : null;
+        if (!column || !row || !this._isEditable(column)) return false;
+
+        // Only one editor at a time
+        if (this._editing) this._finishEdit(true);
+
+        const value = row[column.key];
+        const editorType = this._getEditorType(column, value);
+        cell.innerHTML = editorType === 'rating'
+            ? this._renderRatingEditor(value, column)
+            : `<input class="cell-editor" part="editor" type="${editorType === 'number' ? 'number' : 'text'}" aria-label="${this._escapeHtml(column.label)}" value="${this._escapeHtml(value === null || value === undefined ? '' : String(value))}" />`;
+
+        const editor = cell.querySelector('.cell-editor');
+        this._editing = { row, column, cell, editor, editorType };
+
+        editor.addEventListener('keydown', (e) => this._handleEditorKeydown(e));
+        editor.addEventListener('blur', () => {
+            if (this._editing?.editor === editor) this._commitEdit({ fromBlur: true });
+        });
+        if (editorType === 'rating') {
+            editor.addEventListener('click', (e) => {
+                const star = e.target.closest('[data-value]');
+                if (!star) return;
+                this._setRatingEditorValue(editor, Number(star.dataset.value));
+                this._commitEdit();
+            });
+        }
+
+        editor.focus();
+        editor.select?.();
+        return true;
+    }
+
+    _getEditorType(column, value) {
+        if (column.editor) return column.editor;
+        if (column.type === 'rating') return 'rating';
+        if (this._isNumericColumn(column)) return 'number';
+        return typeof value === 'number' ? 'number' : 'text';
+    }
+
+    _renderRatingEditor(value, column) {
+        const rating = this._parseRating(value);
+        const stars = [];
+        for (let i = 1; i <= rating.max; i++) {
+            stars.push(`<span class="rating-star ${i <= rating.value ? '' : 'empty'}" part="rating-star${i <= rating.value ? '' : ' rating-star-empty'}" data-value="${i}">★</span>`);
+        }
+        return `
+            <div class="cell-editor rating rating-editor" part="editor" role="slider" tabindex="0"
+                aria-label="${this._escapeHtml(column.label)}"
+                aria-valuemin="0" aria-valuemax="${rating.max}" aria-valuenow="${rating.value}"
+                data-max="${rating.max}">
+                ${stars.join('')}
+            </div>
+        `;
+    }
+
+    _setRatingEditorValue(editor, value) {
+        const max = Number(editor.dataset.max);
+        const clamped = Math.max(0, Math.min(max, value));
+        editor.setAttribute('aria-valuenow', String(clamped));
+        editor.querySelectorAll('[data-value]').forEach(star => {
+            const empty = Number(star.dataset.value) > clamped;
+            star.classList.toggle('empty', empty);
+            star.part?.toggle('rating-star-empty', empty);
+        });
+    }
+
+    _handleEditorKeydown(e) {
+        const { editor, editorType } = this._editing || {};
+        if (!editor) return;
+
+        if (editorType === 'rating') {
+            const current = Number(editor.getAttribute('aria-valuenow'));
+            const steps = { ArrowUp: 1, ArrowDown: -1 };
+            const step = steps[e.key] ?? this._getInlineStep(e.key);
+            if (step) {
+                e.preventDefault();
+                this._setRatingEditorValue(editor, current + step);
+            } else if (e.key === 'Home' || e.key === 'End') {
+                e.preventDefault();
+                this._setRatingEditorValue(editor, e.key === 'Home' ? 0 : Number(editor.dataset.max));
+            }
+        }
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this._commitEdit();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this._finishEdit(true);
+        }
+
+        // Keep arrow keys and Home/End inside the editor instead of moving the grid focus
+        e.stopPropagation();
+    }
+
+    _readEditorValue() {
+        const { editor, editorType, row, column } = this._editing;
+        
+        if (editorType === 'rating') {
+            // Keep the shape the row already uses: "4/5", 4 or { value, max }
+            const value = Number(editor.getAttribute('aria-valuenow'));
+            const max = Number(editor.dataset.max);
+            const oldValue = row[column.key];
+            if (typeof oldValue === 'object' && oldValue !== null) return { value: { ...oldValue, value, max } };
+            if (typeof oldValue === 'string' && oldValue.includes('/')) return { value: `${value}/${max}` };
+            return { value };
+        }
+
+        if (editorType === 'number') {
+            if (editor.value.trim() === '') return { value: null };
+            const number = editor.valueAsNumber;
+            return Number.isFinite(number) ? { value: number } : { error: this._formatMessage('invalidNumber') };
+        }
+
+        return { value: editor.value };
+    }
+
+    _commitEdit({ fromBlur = false } = {}) {
+        const { row, column, editor } = this._editing;
+        let { value: newValue, error = null } = this._readEditorValue();
+
+        if (!error && typeof column.validate === 'function') {
+            const result = column.validate(newValue, row);
+            if (result !== true && result !== undefined) {
+                error = typeof result === 'string' ? result : this._formatMessage('invalidEdit');
+            }
+        }
+
+        if (error) {
+            this._showEditError(error);
+            // Re-focus on Enter; after a blur the editor stays open without trapping focus
+            if (!fromBlur) editor.focus();
+            return false;
+        }
+
+        const oldValue = row[column.key];
+        const changed = JSON.stringify(oldValue) !== JSON.stringify(newValue)
+            && this._dispatchEvent('cellEdit', { row, key: column.key, oldValue, newValue }, { cancelable: true });
+        if (changed) {
+            const oldKey = this._getRowKey(row);
+            row[column.key] = newValue;
+            this._reindexRow(row, oldKey);
+        }
+
+        this._finishEdit(!fromBlur);
+        // The row may sort, filter or group differently now, and any total can move
+        if (changed) this._applyRowChanges(new Set([row]));
+        return true;
+    }
+
+    _showEditError(message) {
+        const { cell, editor } = this._editing;
+        editor.setAttribute('aria-invalid', 'true');
+        
+        let errorEl = cell.querySelector('.cell-editor-error');
+        if (!errorEl) {
+            errorEl = document.createElement('span');
+            errorEl.className = 'cell-editor-error';
+            errorEl.setAttribute('role', 'alert');
+            cell.appendChild(errorEl);
+        }
+        errorEl.textContent = message;
+    }
+
+    _finishEdit(restoreFocus = true) {
+        const { row, column, cell } = this._editing;
+        this._editing = null;
+
+        // Re-render only this cell with the (possibly updated) value
+        cell.innerHTML = this._renderCellContent(row[column.key], column, false, row);
+        this._mountNodes();
+
+        if (restoreFocus) {
+            const position = this._getCellPosition(cell.closest('td, [data-items] > [data-index]'));
+            if (position) this._moveFocus(position.row, position.col, false);
+        }
+    }
+
+    _setSelectionMode(value) {
+        const mode = value === 'single' || value === 'multi' ? value : 'none';
+        this._selectionMode = mode;
+
+        // Drop selections the new mode can't hold
+        if (mode === 'none' && this._selection.size) {
+            this._selection.clear();
+            this._dispatchEvent('selectionChange', { selectedRows: [] });
+        } else if (mode === 'single' && this._selection.size > 1) {
+            this._selection = new Set([this.selectedRows[0]]);
+            this._dispatchEvent('selectionChange', { selectedRows: this.selectedRows });
+        }
+    }
+
+    // Details need a renderer or template, and a fixed row pitch rules them out of virtualized views
+    _hasDetails() {
+        const source = this._detailRenderer || this._slotTemplates.has('detail') || this._detailTemplateRender;
+        if (!source) return false;
+        if (!this._isVirtualized()) return true;
+
+        // Checked on every render, so this is only said once
+        if (!this._warnedVirtualDetails) {
+            this._warnedVirtualDetails = true;
+            console.warn('SwivelGrid: Row details disabled in virtualized views. Rows expanded with expandRow() show their details once virtual is off.');
+        }
+        return false;
+    }
+
+    _compileDetailTemplate() {
+        this._detailTemplateRender = null;
+        if (!this._detailTemplate) return;
+        try {
+            this._detailTemplateRender = this._compileTemplate(this._sanitizeTemplate(this._detailTemplate, {}, 'detailTemplate'));
+        } catch (error) {
+            console.warn(`SwivelGrid: Invalid detailTemplate, details are not shown. ${error.message}`);
+        }
+    }
+
+    _getExpandedAttribute(row) {
+        if (!this._hasDetails()) return '';
+        return `aria-expanded="${this._expandedRows.has(row)}"`;
+    }
+
+    _renderDetailHeader() {
+        if (!this._hasDetails()) return '';
+        return `
+            <th class="detail-column" role="columnheader" scope="col" tabindex="-1">
+                <span class="sr-only">${this._escapeHtml(this._formatMessage('details'))}</span>
+            </th>
+        `;
+    }
+
+    _renderDetailToggleCell(row) {
+        if (!this._hasDetails()) return '';
+        return `<td class="detail-column" role="gridcell" tabindex="-1">${this._renderDetailToggle(row)}</td>`;
+    }
+
+    _renderDetailToggle(row, withLabel = false) {
+        const label = this._escapeHtml(this._formatMessage('details'));
+        return `
+            <button type="button" class="detail-toggle" part="detail-toggle" tabindex="-1" aria-expanded="${this._expandedRows.has(row)}" ${withLabel ? '' : `aria-label="${label}"`}>
+                <span class="detail-icon" aria-hidden="true">▾</span>${withLabel ? label : ''}
+            </button>
+        `;
+    }
+
+    // Created on first expand; the node slot keeps the content across re-renders while the row stays expanded
+    _renderDetail(row) {
+        const slotTemplate = this._slotTemplates.get('detail');
+        const source = this._detailRenderer || slotTemplate || this._detailTemplateRender;
+        const content = this._renderNodeSlot(row, 'detail', source, null, () => {
+            if (this._detailRenderer) return this._detailRenderer(row);
+            if (slotTemplate) return this._instantiateSlotTemplate(slotTemplate, { row });
+            const template = document.createElement('template');
+            template.innerHTML = this._detailTemplateRender({ data: { row }, locals: { this: { row } }, parent: null });
+            return template.content;
+        });
+
+        return this._layoutType === 'table'
+            ? `<tr class="detail-row" part="detail-row" role="row"><td class="detail-cell" part="detail" role="gridcell" colspan="${this._getColumnCount()}">${content}</td></tr>`
+            : `<div class="card-detail" part="detail">${content}</div>`;
+    }
+
+    // Puts a detail row after each expanded table row, or a panel at the end of every other expanded item.
+    // Details already in place are moved rather than rebuilt
+    _syncDetails() {
+        const existing = new Map();
+        this.shadowRoot.querySelectorAll('.detail-row, .card-detail').forEach(detail => {
+            existing.set(this._detailOwners.get(detail), detail);
+        });
+
+        if (this._hasDetails()) {
+            const table = this._layoutType === 'table';
+            const template = document.createElement('template');
+            this.shadowRoot.querySelectorAll('[data-items] > [data-index]').forEach(item => {
+                const row = this._viewRows[Number(item.dataset.index)];
+                if (!this._expandedRows.has(row)) return;
+
+                let detail = existing.get(row);
+                existing.delete(row);
+                if (!detail) {
+                    template.innerHTML = this._renderDetail(row);
+                    detail = template.content.firstElementChild;
+                    this._detailOwners.set(detail, row);
+                }
+                if (table && item.nextElementSibling !== detail) item.after(detail);
+                if (!table && detail.parentElement !== item) item.append(detail);
+            });
+        }
+        existing.forEach(detail => detail.remove());
+    }
+
+    _bindDetailListeners() {
+        const container = this.shadowRoot.querySelector('.scroll-container');
+        if (!container || !this._hasDetails()) return;
+
+        container.addEventListener('click', (e) => {
+            const item = e.target.closest('.detail-toggle')?.closest('[data-index]');
+            const row = item && this._viewRows[Number(item.dataset.index)];
+            if (row) this._setRowExpanded(row, !this._expandedRows.has(row));
+        });
+    }
+
+    _setRowExpanded(row, expanded) {
+        if (!row || this._isPlaceholderRow(row) || this._expandedRows.has(row) === expanded) return;
+        if (expanded) {
+            this._expandedRows.add(row);
+        } else {
+            this._expandedRows.delete(row);
+        }
+
+        // Only the row's toggle and details change; the rest of the DOM stays as it is
+        const index = this._viewRows.indexOf(row);
+        const item = this.shadowRoot?.querySelector(`[data-items] > [data-index="${index}"]`);
+        if (item && this._hasDetails()) {
+            item.setAttribute('aria-expanded', String(expanded));
+            item.querySelector('.detail-toggle')?.setAttribute('aria-expanded', String(expanded));
+            this._mountNodes();
+        }
+
+        this._dispatchEvent('rowExpand', { row, key: this._rowKey ? this._getRowKey(row) : undefined, expanded });
+    }
+
+    _getSelectionAttributes(row) {
+        if (this._selectionMode === 'none') return '';
+        return `aria-selected="${this._selection.has(row)}"`;
+    }
+
+    _renderSelectAllHeader() {
+        if (this._selectionMode !== 'multi') return '';
+        return `
+            <th class="select-column" role="columnheader" scope="col" tabindex="-1">
+                <input type="checkbox" class="select-all" tabindex="-1" aria-label="${this._escapeHtml(this._formatMessage('selectAll'))}" />
+            </th>
+        `;
+    }
+
+    _renderSelectionCell(row) {
+        if (this._selectionMode !== 'multi') return '';
+        return `
+            <td class="select-column" role="gridcell" tabindex="-1">
+                <input type="checkbox" class="row-select" tabindex="-1" aria-label="${this._escapeHtml(this._formatMessage('selectRow'))}" ${this._selection.has(row) ? 'checked' : ''} />
+            </td>
+        `;
+    }
+
+    _bindSelectionListeners() {
+        const container = this.shadowRoot.querySelector('.scroll-container');
+        if (!container || this._selectionMode === 'none') return;
+
+        // Delegated so appended rows and virtual windows need no extra binding
+        container.addEventListener('click', (e) => {
+            const selectAll = e.target.closest('.select-all');
+            if (selectAll) {
+                this._toggleSelectAll(selectAll.checked);
+                return;
+            }
+
+            const item = e.target.closest('[data-index]');
+            if (!item) return;
+
+            // Leave links, buttons and other controls inside cells alone, and anything in a card's details
+            const isSelectControl = e.target.closest('.row-select, .card-select, .list-select');
+            if (!isSelectControl && e.target.closest('a, button, input, select, textarea, label, .card-detail')) return;
+
+            this._selectIndex(Number(item.dataset.index), e.shiftKey);
+        });
+    }
+
+    _selectIndex(index, extendRange = false) {
+        const row = this._viewRows[index];
+        if (!row) return;
+
+        if (this._selectionMode === 'single') {
+            this._selection = this._selection.has(row) ? new Set() : new Set([row]);
+        } else if (extendRange && this._selectionAnchor) {
+            // Shift-click selects everything between the anchor and this row in view order
+            const anchorIndex = this._viewRows.indexOf(this._selectionAnchor);
+            const from = anchorIndex === -1 ? index : Math.min(anchorIndex, index);
+            const to = anchorIndex === -1 ? index : Math.max(anchorIndex, index);
+            for (let i = from; i <= to; i++) {
+                this._selection.add(this._viewRows[i]);
+            }
+        } else if (this._selection.has(row)) {
+            this._selection.delete(row);
+        } else {
+            this._selection.add(row);
+        }
+
+        this._selectionAnchor = row;
+        this._commitSelection();
+    }
+
+    _toggleSelectAll(checked) {
+        // Only rows that pass the current search and filters are affected, and placeholders can't be selected
+        this._viewRows.forEach(row => {
+            if (this._isPlaceholderRow(row)) return;
+            if (checked) {
+                this._selection.add(row);
+            } else {
+                this._selection.delete(row);
+            }
+        });
+        this._commitSelection();
+    }
+
+    _pruneSelection() {
+        if (!this._selection.size) return;
+
+        // Rows replaced by setData()/setPageData() can no longer be selected
+        const known = new Set(this._rows);
+        let changed = false;
+        this._selection.forEach(row => {
+            if (!known.has(row)) {
+                this._selection.delete(row);
+                changed = true;
+            }
+        });
+        if (this._selectionAnchor && !known.has(this._selectionAnchor)) {
+            this._selectionAnchor = null;
+        }
+
+        if (changed) {
+            this._syncSelectionUI();
+            this._dispatchEvent('selectionChange', { selectedRows: this.selectedRows });
+        }
+    }
+
+    _commitSelection() {
+        this._syncSelectionUI();
+        this._dispatchEvent('selectionChange', { selectedRows: this.selectedRows });
+    }
+
+    _syncSelectionUI() {
+        if (!this.shadowRoot || this._selectionMode === 'none') return;
+
+        this.shadowRoot.querySelectorAll('[data-index]').forEach(item => {
+            const selected = this._selection.has(this._viewRows[Number(item.dataset.index)]);
+            item.classList.toggle('selected', selected);
+            item.part?.toggle(item.matches('.grid-card') ? 'card-selected' : 'row-selected', selected);
+            item.setAttribute('aria-selected', String(selected));
+            const checkbox = item.querySelector('.row-select');
+            if (checkbox) checkbox.checked = selected;
+        });
+
+        const selectAll = this.shadowRoot.querySelector('.select-all');
+        if (selectAll) {
+            const selectedCount = this._viewRows.filter(row => this._selection.has(row)).length;
+            selectAll.checked = selectedCount > 0 && selectedCount === this._viewRows.length;
+            selectAll.indeterminate = selectedCount > 0 && selectedCount < this._viewRows.length;
+        }
+    }
+
+    _getSortClass(column) {
+        const classes = [];
+        if (column.sortable !== false) classes.push('sortable');
+        if (column.sort === 'ASC') classes.push('sort-asc');
+        if (column.sort === 'DESC') classes.push('sort-desc');
+        return classes.join(' ');
+    }
+
+    _getSortPriority(column) {
+        return this._sortModel.findIndex(entry => entry.key === column.key) + 1;
+    }
+
+    _getSortPriorityAttribute(column) {
+        // Priority numbers are only shown once more than one column is sorted
+        const priority = this._getSortPriority(column);
+        return priority && this._sortModel.length > 1 ? `data-sort-priority="${priority}"` : '';
+    }
+
+    _getAriaSort(column) {
+        // aria-sort belongs on the primary sort column only
+        if (this._getSortPriority(column) !== 1) return 'none';
+        return column.sort === 'ASC' ? 'ascending' : 'descending';
+    }
+
+    _renderSortPriority(column) {
+        const priority = this._getSortPriority(column);
+        if (!priority || this._sortModel.length < 2) return '';
+        const direction = this._formatMessage(column.sort === 'ASC' ? 'sortAscending' : 'sortDescending');
+        return `<span class="sr-only">${this._escapeHtml(this._formatMessage('sortPriority', { priority, direction }))}</span>`;
+    }
+
+    _getColumnStyles(column) {
+        // A user-resized width overrides the schema constraints
+        const width = this._getColumnEntry(column.key)?.width;
+        if (width) {
+            return `width: ${width}px; min-width: ${width}px; max-width: ${width}px`;
+        }
+        
+        const styles = [];
+        if (column.minWidth) styles.push(`min-width: ${column.minWidth}`);
+        if (column.maxWidth) styles.push(`max-width: ${column.maxWidth}`);
+        return styles.join('; ');
+    }
+
+    _attachSortListeners() {
+        const headers = this.shadowRoot.querySelectorAll('th[data-key]');
+        headers.forEach(header => {
+            const key = header.dataset.key;
+            const col = this._schema.find(c => c.key === key);
+            if (col?.sortable === false) return;
+            
+            header.addEventListener('click', (e) => {
+                if (e.target.closest('.resize-handle')) return;
+                this._handleSort(e.currentTarget.dataset.key, e.shiftKey);
+            });
+            header.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this._handleSort(e.currentTarget.dataset.key, e.shiftKey);
+                }
+            });
+        });
+    }
+
+    _getDisplayColumns() {
+        // Saved order first, then schema columns the state doesn't know about yet
+        const remaining = new Map(this._schema.map(col => [col.key, col]));
+        const ordered = [];
+        this._columnState.forEach(entry => {
+            const col = remaining.get(entry.key);
+            if (col) {
+                ordered.push(col);
+                remaining.delete(entry.key);
+            }
+        });
+        remaining.forEach(col => ordered.push(col));
+        return ordered;
+    }
+
+    _getVisibleColumns() {
+        return this._getDisplayColumns().filter(col => !this._getColumnEntry(col.key)?.hidden && this._isShownInLayout(col));
+    }
+
+    // showIn limits a column to some layouts; without it a column is shown in all of them
+    _isShownInLayout(column) {
+        return !Array.isArray(column.showIn) || column.showIn.includes(this._layoutType);
+    }
+
+    _getColumnEntry(key) {
+        return this._columnState.find(entry => entry.key === key);
+    }
+
+    _normalizeColumnState(value) {
+        if (!Array.isArray(value)) return [];
+
+        const seen = new Set();
+        return value
+            .filter(entry => {
+                if (!entry || typeof entry.key !== 'string' || seen.has(entry.key)) return false;
+                seen.add(entry.key);
+                return true;
+            })
+            .map(entry => ({
+                key: entry.key,
+                width: typeof entry.width === 'number' && entry.width > 0 ? Math.max(MIN_COLUMN_WIDTH, entry.width) : null,
+                hidden: Boolean(entry.hidden)
+            }));
+    }
+
+    _updateColumnState(key, changes, reason) {
+        this._columnState = this.columnState.map(entry => entry.key === key ? { ...entry, ...changes } : entry);
+        this._dispatchEvent('columnsChange', { columnState: this.columnState, reason });
+        // Resizing doesn't re-render, so it's saved here
+        this._persistState();
+    }
+
+    _moveColumn(key, toIndex) {
+        const state = this.columnState;
+        const fromIndex = state.findIndex(entry => entry.key === key);
+        if (fromIndex === -1 || toIndex === fromIndex) return;
+
+        const [entry] = state.splice(fromIndex, 1);
+        state.splice(Math.max(0, Math.min(state.length, toIndex)), 0, entry);
+        this._columnState = state;
+        this._dispatchEvent('columnsChange', { columnState: this.columnState, reason: 'reorder' });
+        this.render();
+    }
+
+    _applyColumnWidth(key, width) {
+        this.shadowRoot.querySelectorAll(`th[data-key="${key}"], td[data-key="${key}"]`).forEach(cell => {
+            cell.style.width = `${width}px`;
+            cell.style.minWidth = `${width}px`;
+            cell.style.maxWidth = `${width}px`;
+        });
+    }
+
+    _renderToolbar(chooserOpen) {
+        if (!this._columnChooser || !this._schema.length) return '';
+
+        const visibleCount = this._getVisibleColumns().length;
+        return `
+            <div class="toolbar" part="toolbar">
+                <details class="column-chooser" part="column-chooser" ${chooserOpen ? 'open' : ''}>
+                    <summary>${this._escapeHtml(this._formatMessage('columns'))}</summary>
+                    <div class="column-chooser-panel" role="group" aria-label="${this._escapeHtml(this._formatMessage('visibleColumns'))}">
+                        ${this.columnState.filter(entry => this._isShownInLayout(this._schema.find(c => c.key === entry.key))).map(entry => {
+                            const col = this._schema.find(c => c.key === entry.key);
+                            // The last visible column can't be hidden
+                            const locked = !entry.hidden && visibleCount === 1;
+                            return `
+                                <label>
+                                    <input type="checkbox" data-column-toggle="${this._escapeHtml(entry.key)}"
+                                        ${entry.hidden ? '' : 'checked'} ${locked ? 'disabled' : ''} />
+                                    ${this._escapeHtml(col.label)}
+                                </label>
+                            `;
+                        }).join('')}
+                    </div>
+                </details>
+            </div>
+        `;
+    }
+
+    _attachColumnListeners() {
+        this.shadowRoot.querySelectorAll('[data-column-toggle]').forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                const key = toggle.dataset.columnToggle;
+                this.setColumnVisibility(key, toggle.checked);
+                this.shadowRoot.querySelector(`[data-column-toggle="${key}"]`)?.focus();
+            });
+        });
+
+        this.shadowRoot.querySelectorAll('th[data-key]').forEach(header => {
+            const key = header.dataset.key;
+
+            // Drag and drop reordering
+            header.addEventListener('dragstart', (e) => {
+                this._dragColumnKey = key;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', key);
+                header.classList.add('dragging');
+            });
+            header.addEventListener('dragover', (e) => {
+                if (!this._dragColumnKey || this._dragColumnKey === key) return;
+                e.preventDefault();
+                const after = (e.offsetX > header.offsetWidth / 2) !== this._isRtl();
+                header.classList.toggle('drop-after', after);
+                header.classList.toggle('drop-before', !after);
+            });
+            header.addEventListener('dragleave', () => {
+                header.classList.remove('drop-before', 'drop-after');
+            });
+            header.addEventListener('drop', (e) => {
+                e.preventDefault();
+                const dragged = this._dragColumnKey;
+                const after = header.classList.contains('drop-after');
+                this._dragColumnKey = null;
+                if (!dragged || dragged === key) return;
+
+                const keys = this.columnState.map(entry => entry.key).filter(k => k !== dragged);
+                const targetIndex = keys.indexOf(key) + (after ? 1 : 0);
+                this._moveColumn(dragged, targetIndex);
+            });
+            header.addEventListener('dragend', () => {
+                this._dragColumnKey = null;
+                this.shadowRoot.querySelectorAll('th.dragging, th.drop-before, th.drop-after')
+                    .forEach(th => th.classList.remove('dragging', 'drop-before', 'drop-after'));
+            });
+
+            // Alt+Arrow resizes, Alt+Shift+Arrow moves the column
+            header.addEventListener('keydown', (e) => {
+                if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+                e.preventDefault();
+                e.stopPropagation();
+                
+                const step = this._getInlineStep(e.key);
+                if (e.shiftKey) {
+                    const state = this.columnState;
+                    const index = state.findIndex(entry => entry.key === key);
+                    let target = index + step;
+                    // Skip over hidden columns so the move is visible
+                    while (state[target]?.hidden) target += step;
+                    if (target < 0 || target >= state.length) return;
+                    this._focusPosition = { ...this._focusPosition, col: this._focusPosition.col + step };
+                    this._moveColumn(key, target);
+                } else {
+                    const width = Math.max(MIN_COLUMN_WIDTH, header.offsetWidth + step * 16);
+                    this._applyColumnWidth(key, width);
+                    this._updateColumnState(key, { width }, 'resize');
+                }
+            });
+
+            // Pointer resizing from the handle on the header's edge
+            const handle = header.querySelector('.resize-handle');
+            handle.addEventListener('click', (e) => e.stopPropagation());
+            handle.addEventListener('pointerdown', (e) => {
+                // Don't start a column drag or a sort
+                e.preventDefault();
+                e.stopPropagation();
+                
+                const startX = e.clientX;
+                const startWidth = header.offsetWidth;
+                // The handle sits on the left edge in RTL, so dragging left widens
+                const sign = this._isRtl() ? -1 : 1;
+                let width = startWidth;
+                handle.setPointerCapture?.(e.pointerId);
+                
+                const onMove = (moveEvent) => {
+                    width = Math.max(MIN_COLUMN_WIDTH, Math.round(startWidth + sign * (moveEvent.clientX - startX)));
+                    this._applyColumnWidth(key, width);
+                };
+                const onUp = () => {
+                    handle.removeEventListener('pointermove', onMove);
+                    handle.removeEventListener('pointerup', onUp);
+                    handle.removeEventListener('pointercancel', onUp);
+                    if (width !== startWidth) {
+                        this._updateColumnState(key, { width }, 'resize');
+                    }
+                };
+                handle.addEventListener('pointermove', onMove);
+                handle.addEventListener('pointerup', onUp);
+                handle.addEventListener('pointercancel', onUp);
+            });
+        });
+    }
+
+    _handleSort(key, additive = false) {
+        const column = this._schema.find(col => col.key === key);
+        if (!column) return;
+
+        // Toggle sort direction
+        const current = this._sortModel.find(entry => entry.key === key);
+        const newDirection = current?.direction === 'ASC' ? 'DESC' : 'ASC';
+        
+        if (!additive) {
+            // Plain click replaces the whole model with this column
+            this._sortModel = [{ key, direction: newDirection }];
+        } else if (!current) {
+            // Shift-click adds a secondary/tertiary key
+            this._sortModel = [...this._sortModel, { key, direction: 'ASC' }];
+        } else if (current.direction === 'ASC') {
+            this._sortModel = this._sortModel.map(entry => entry.key === key ? { key, direction: 'DESC' } : entry);
+        } else {
+            // Shift-click on a descending key removes it from the model
+            this._sortModel = this._sortModel.filter(entry => entry.key !== key);
+        }
+        this._syncSortFlags();
+
+        // Check if pagination is active (server-side data)
+        const isPaginationActive = this._isPaginationActive();
+        
+        if (this._dataSource) {
+            // The data source refetches from page 1 in the new order
+            this._reloadDataSource();
+        } else if (isPaginationActive) {
+            // For server-side pagination, do NOT perform local sorting
+            // This would break page boundaries and cause inconsistent data
+            console.warn('SwivelGrid: Client-side sorting disabled when pagination is active. Sorting should be handled server-side via sortHandler.');
+        } else {
+            // Reset paging when sorting (only for client-side data)
+            this._currentPage = 1;
+            this._lastTriggeredPage = 0;
+            this._endReached = false;
+            
+            // Sort the data (client-side only)
+            this._sortData();
+        }
+
+        // Trigger handlers and events
+        const direction = column.sort || null;
+        const sortModel = this.sortModel;
+        this._sortHandler?.({ key, direction, sortModel });
+        this._dispatchEvent('sort', { key, direction, sortModel });
+
+        // Re-render to show new sort indicators
+        this.render();
+    }
+
+    _sortData(sortModel = this._sortModel) {
+        const sorters = sortModel
+            .map(entry => ({ ...entry, column: this._schema.find(col => col.key === entry.key) }))
+            .filter(entry => entry.column);
+        if (!sorters.length) return;
+
+        this._rows.sort((a, b) => {
+            // Chain comparators - later keys only break ties of earlier ones
+            for (const { key, direction, column } of sorters) {
+                const aVal = a[key];
+                const bVal = b[key];
+
+                let result;
+                if (column.sortComparator) {
+                    result = column.sortComparator(aVal, bVal, a, b);
+                } else {
+                    result = this._defaultSort(aVal, bVal, key);
+                }
+
+                if (result) {
+                    return direction === 'DESC' ? -result : result;
+                }
+            }
+            return 0;
+        });
+    }
+
+    _getSchemaSortModel() {
+        const sorted = this._schema.filter(col => col.sort === 'ASC' || col.sort === 'DESC');
+        
+        // Optional sortPriority orders the initial keys, otherwise schema order wins
+        const priority = col => typeof col.sortPriority === 'number' ? col.sortPriority : Infinity;
+        return sorted
+            .map((col, index) => ({ col, index }))
+            .sort((a, b) => (priority(a.col) - priority(b.col)) || (a.index - b.index))
+            .map(({ col }) => ({ key: col.key, direction: col.sort }));
+    }
+
+    _normalizeSortModel(value) {
+        if (!Array.isArray(value)) return [];
+
+        const seen = new Set();
+        return value
+            .filter(entry => entry && typeof entry.key === 'string')
+            .map(entry => ({
+                key: entry.key,
+                direction: String(entry.direction || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
+            }))
+            .filter(entry => {
+                if (seen.has(entry.key)) return false;
+                seen.add(entry.key);
+                return true;
+            });
+    }
+
+    _syncSortFlags() {
+        // Keep the schema's sort flags mirroring the model for rendering and backward compatibility
+        this._schema.forEach(col => {
+            const entry = this._sortModel.find(e => e.key === col.key);
+            col.sort = entry ? entry.direction : undefined;
+        });
+    }
+
+    _defaultSort(a, b, key) {
+        const column = this._schema.find(col => col.key === key);
+        const type = column?.type || 'text';
+
+        if (type === 'rating') {
+            const aRating = this._parseRating(a);
+            const bRating = this._parseRating(b);
+            const aRatio = aRating.isValid ? aRating.value / aRating.max : 0;
+            const bRatio = bRating.isValid ? bRating.value / bRating.max : 0;
+            return aRatio - bRatio;
+        }
+
+        if (type === 'image') {
+            const aImg = this._parseImage(a);
+            const bImg = this._parseImage(b);
+            return this._getCollator().compare(aImg.src, bImg.src);
+        }
+
+        // Formatted types sort on the raw value; missing or invalid values sort first
+        if (NUMERIC_TYPES.includes(type) || DATE_TYPES.includes(type)) {
+            const toSortable = v => {
+                if (DATE_TYPES.includes(type)) return this._toDate(v)?.getTime() ?? null;
+                return this._toNumber(v);
+            };
+            const aNum = toSortable(a);
+            const bNum = toSortable(b);
+            if (aNum === bNum) return 0;
+            if (aNum === null) return -1;
+            if (bNum === null) return 1;
+            return aNum - bNum;
+        }
+
+        // Default text/numeric comparison
+        if (typeof a === 'number' && typeof b === 'number') {
+            return a - b;
+        }
+
+        return this._getCollator().compare(String(a || ''), String(b || ''));
+    }
+
+    _filterRows(rows) {
+        const hasFilters = this._isLocalSearch() || Object.keys(this._filters).length > 0;
+        if (!hasFilters) return rows.slice();
+
+        // Don't filter locally when pagination is active - only loaded pages are known
+        if (this._isPaginationActive()) {
+            // Runs on every render, so this is only said once
+            if (!this._dataSource && !this._warnedPaginatedFilter) {
+                this._warnedPaginatedFilter = true;
+                console.warn('SwivelGrid: Client-side filtering disabled when pagination is active. Filtering should be handled server-side via searchHandler.');
+            }
+            return rows.slice();
+        }
+
+        // Placeholders stand in for rows that were shown before their page was evicted
+        return rows.filter(row => this._isPlaceholderRow(row) || this._rowMatchesFilters(row));
+    }
+
+    _rowMatchesFilters(row) {
+        if (!row || typeof row !== 'object') return false;
+
+        if (this._isLocalSearch()) {
+            const needle = this._query.toLowerCase();
+            const matchesQuery = this._schema.some(col =>
+                this._isSearchable(col) && this._getSearchText(row[col.key], col).includes(needle)
+            );
+            if (!matchesQuery) return false;
+        }
+
+        return Object.entries(this._filters).every(([key, filterValue]) => {
+            const column = this._schema.find(col => col.key === key);
+            return !column || this._matchesColumnFilter(row[key], filterValue, column, row);
+        });
+    }
+
+    // A searchHandler gets the query instead, since its results are already filtered by the server
+    _isLocalSearch() {
+        return Boolean(this._query) && !this._searchHandler;
+    }
+
+    _isSearchable(column) {
+        if (column.searchable !== undefined) return column.searchable !== false;
+        return column.type !== 'image';
+    }
+
+    _getSearchText(value, column) {
+        if (value === null || value === undefined) return '';
+
+        if (column.type === 'rating') {
+            const rating = this._parseRating(value);
+            return rating.isValid ? `${rating.value}/${rating.max}` : '';
+        }
+
+        if (column.type === 'image') {
+            return this._parseImage(value).alt.toLowerCase();
+        }
+
+        // Match both what's displayed and the raw value
+        if (NUMERIC_TYPES.includes(column.type) || DATE_TYPES.includes(column.type)) {
+            const formatted = this._formatValue(value, column);
+            return `${formatted ?? ''} ${value}`.toLowerCase();
+        }
+
+        return String(value).toLowerCase();
+    }
+
+    _matchesColumnFilter(value, filterValue, column, row) {
+        const filter = column.filter || {};
+
+        // Custom predicate takes precedence over the built-in filter types
+        if (typeof filter.predicate === 'function') {
+            return Boolean(filter.predicate(value, filterValue, row));
+        }
+
+        switch (filter.type) {
+            case 'number-range': {
+                const number = this._toNumber(value, column);
+                if (number === null) return false;
+                const min = this._toNumber(filterValue?.min);
+                const max = this._toNumber(filterValue?.max);
+                if (min !== null && number < min) return false;
+                if (max !== null && number > max) return false;
+                return true;
+            }
+            case 'enum': {
+                const allowed = (Array.isArray(filterValue) ? filterValue : [filterValue]).map(String);
+                return allowed.includes(String(value ?? ''));
+            }
+            case 'text':
+            default:
+                return this._getSearchText(value, column).includes(String(filterValue).trim().toLowerCase());
+        }
+    }
+
+    _toNumber(value, column) {
+        if (value === null || value === undefined || value === '') return null;
+
+        if (column?.type === 'rating') {
+            const rating = this._parseRating(value);
+            return rating.isValid ? rating.value : null;
+        }
+
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? value : null;
+        }
+
+        // Tolerate formatted strings such as "$1,299.99"
+        const number = parseFloat(String(value).replace(/[^0-9.eE+-]/g, ''));
+        return Number.isFinite(number) ? number : null;
+    }
+
+    _isEmptyFilterValue(value) {
+        if (value === null || value === undefined || value === '') return true;
+        if (Array.isArray(value)) return value.length === 0;
+        if (typeof value === 'object') {
+            return Object.values(value).every(v => v === null || v === undefined || v === '');
+        }
+        return false;
+    }
+
+    _setGroupBy(value) {
+        const keys = Array.isArray(value) ? value : String(value || '').split(',');
+        this._groupBy = [...new Set(keys.map(key => String(key).trim()).filter(Boolean))];
+        this._collapsedGroups.clear();
+    }
+
+    _getGroupKeys() {
+        // Keys the schema doesn't know are ignored, like unknown sort keys
+        return this._groupBy.filter(key => this._schema.some(col => col.key === key));
+    }
+
+    _isGrouped() {
+        return this._getGroupKeys().length > 0 && !this._isPaginationActive();
+    }
+
+    _getGroupPath(row, depth) {
+        // A group is identified by its own value and those of its parent groups
+        return JSON.stringify(this._getGroupKeys().slice(0, depth + 1).map(key => row[key] ?? null));
+    }
+
+    _groupRows(rows) {
+        this._groups = new Map();
+        const keys = this._getGroupKeys();
+        if (!keys.length) return rows;
+
+        // Grouping would reorder rows across server page boundaries. Both warnings are only said once,
+        // since this runs on every render
+        if (this._isPaginationActive()) {
+            if (!this._warnedPaginatedGrouping) {
+                this._warnedPaginatedGrouping = true;
+                console.warn('SwivelGrid: Row grouping disabled when pagination is active.');
+            }
+            return rows;
+        }
+        if (this._canVirtualize() && !this._warnedGroupedVirtual) {
+            this._warnedGroupedVirtual = true;
+            console.warn('SwivelGrid: Virtualized rendering disabled while rows are grouped.');
+        }
+
+        // Sort stability keeps the active sort model's order within each group
+        const comparators = keys.map(key => {
+            const column = this._schema.find(col => col.key === key);
+            const direction = this._sortModel.find(entry => entry.key === key)?.direction === 'DESC' ? -1 : 1;
+            return (a, b) => direction * (column.sortComparator
+                ? column.sortComparator(a[key], b[key], a, b)
+                : this._defaultSort(a[key], b[key], key));
+        });
+        rows.sort((a, b) => {
+            for (const compare of comparators) {
+                const result = compare(a, b);
+                if (result) return result;
+            }
+            return 0;
+        });
+
+        rows.forEach(row => {
+            keys.forEach((key, depth) => {
+                const path = this._getGroupPath(row, depth);
+                const group = this._groups.get(path);
+                if (group) {
+                    group.count++;
+                    return;
+                }
+                // Ids stay stable across renders so a toggle can be found again after a rebuild
+                if (!this._groupIds.has(path)) this._groupIds.set(path, this._groupIds.size);
+                this._groups.set(path, {
+                    id: this._groupIds.get(path),
+                    key,
+                    value: row[key],
+                    values: keys.slice(0, depth + 1).map(k => row[k]),
+                    path,
+                    depth,
+                    count: 1
+                });
+            });
+        });
+        return rows;
+    }
+
+    _isRowCollapsed(row) {
+        if (!this._collapsedGroups.size || !this._isGrouped()) return false;
+        return this._getGroupKeys().some((key, depth) => this._collapsedGroups.has(this._getGroupPath(row, depth)));
+    }
+
+    _bindGroupListeners() {
+        const container = this.shadowRoot.querySelector('.scroll-container');
+        if (!container || !this._isGrouped()) return;
+
+        container.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.group-toggle');
+            if (toggle) this._toggleGroup(Number(toggle.dataset.groupId));
+        });
+    }
+
+    _toggleGroup(id) {
+        const group = [...this._groups.values()].find(g => g.id === id);
+        if (!group) return;
+
+        const expanded = this._collapsedGroups.has(group.path);
+        if (expanded) {
+            this._collapsedGroups.delete(group.path);
+        } else {
+            this._collapsedGroups.add(group.path);
+        }
+
+        // Keep the scroll position and the toggle's focus across the rebuild
+        const scrollTop = this._scrollContainer?.scrollTop || 0;
+        this.render();
+        if (this._scrollContainer) this._scrollContainer.scrollTop = scrollTop;
+        this.shadowRoot.querySelector(`.group-toggle[data-group-id="${id}"]`)?.focus();
+
+        this._dispatchEvent('groupToggle', { key: group.key, value: group.value, path: group.values, expanded });
+    }
+
+    _insertGroupedRows(rows) {
+        const keys = this._getGroupKeys();
+        const leafDepth = keys.length - 1;
+        const template = document.createElement('template');
+
+        for (const row of rows) {
+            const path = this._getGroupPath(row, leafDepth);
+            // A row that starts a new group needs a new header; render() picks up every appended row
+            if (!this._groups.has(path)) {
+                this.render();
+                return;
+            }
+
+            // Groups are contiguous in _viewRows, so the row joins the end of its group
+            let index = this._viewRows.length;
+            while (this._getGroupPath(this._viewRows[index - 1], leafDepth) !== path) index--;
+            this._viewRows.splice(index, 0, row);
+            this._shiftRenderedIndices(index);
+            this._accumulateRow(row);
+
+            keys.forEach((key, depth) => {
+                const group = this._groups.get(this._getGroupPath(row, depth));
+                group.count++;
+                const count = this.shadowRoot.querySelector(`[data-group-id="${group.id}"] .group-count`);
+                if (count) count.textContent = this._formatMessage('groupCount', { count: group.count });
+            });
+
+            if (!this._isRowCollapsed(row)) {
+                // An expanded table row is followed by its detail row, which stays with it
+                const previous = this.shadowRoot.querySelector(`[data-items] > [data-index="${index - 1}"]`);
+                const detail = previous?.nextElementSibling;
+                template.innerHTML = this._renderLayoutItems([row], index);
+                (detail && this._detailOwners.get(detail) === this._viewRows[index - 1] ? detail : previous)?.after(template.content);
+            }
+        }
+
+        this._mountNodes();
+        this._refreshAggregates();
+        this._syncSelectionUI();
+        this._syncRovingTabindex();
+    }
+
+    _shiftRenderedIndices(from) {
+        // Rendered items after an inserted row move one view index down
+        this.shadowRoot.querySelectorAll('[data-index]').forEach(item => {
+            const index = Number(item.dataset.index);
+            if (index >= from) item.dataset.index = String(index + 1);
+        });
+        if (this._focusPosition.row >= from) {
+            this._focusPosition = { ...this._focusPosition, row: this._focusPosition.row + 1 };
+        }
+    }
+
+    _getAggregateColumns() {
+        return this._schema.filter(col => typeof col.aggregate === 'function' || AGGREGATE_MESSAGES[col.aggregate]);
+    }
+
+    _computeAggregates() {
+        this._aggregates = new Map();
+        this._groups.forEach(group => {
+            group.aggregates = new Map();
+        });
+        this._viewRows.forEach(row => this._accumulateRow(row));
+    }
+
+    // Adds a row to the running totals, or with a sign of -1 takes it out again. Returns false when it
+    // can't be taken out: custom reducers can't be undone, and a removed min or max leaves no runner-up
+    _accumulateRow(row, sign = 1) {
+        const columns = this._getAggregateColumns();
+        // Rows of pages that haven't loaded, or were evicted, have no values to count
+        if (!columns.length || this._isPlaceholderRow(row)) return true;
+        if (sign < 0 && columns.some(col => typeof col.aggregate === 'function')) return false;
+        let undone = true;
+
+        // Each row feeds the grid totals and every group it belongs to
+        const targets = [this._aggregates];
+        if (this._isGrouped()) {
+            this._getGroupKeys().forEach((key, depth) => {
+                const group = this._groups.get(this._getGroupPath(row, depth));
+                if (group) targets.push(group.aggregates);
+            });
+        }
+
+        columns.forEach(column => {
+            const value = row[column.key];
+            targets.forEach(states => {
+                if (!states.has(column.key)) {
+                    states.set(column.key, { result: undefined, values: 0, count: 0, sum: 0, min: null, max: null });
+                }
+                const state = states.get(column.key);
+
+                // Custom reducers get the raw value; the accumulator starts out undefined
+                if (typeof column.aggregate === 'function') {
+                    state.result = column.aggregate(state.result, value, row);
+                    return;
                 }
-                
-                .scroll-container {
-                    max-height: 400px;
+
+                if (value !== null && value !== undefined && value !== '') state.values += sign;
+                const number = this._getAggregateNumber(value, column);
+                if (number === null) return;
+                state.count += sign;
+                state.sum += sign * number;
+                if (sign < 0) {
+                    // Only the extreme a column shows has to be right
+                    if (['min', 'max'].includes(column.aggregate) && number === state[column.aggregate]) undone = false;
+                    return;
                 }
-            }
-        `;
+                state.min = state.min === null ? number : Math.min(state.min, number);
+                state.max = state.max === null ? number : Math.max(state.max, number);
+            });
+        });
+        return undone;
     }
 
-    _getMinCardWidth() {
-        if (!this._schema.length) return 240;
-        const minWidths = this._schema
-            .map(col => col.minWidth)
-            .filter(Boolean)
-            .map(width => /px$/.test(width) ? parseInt(width, 10) : NaN)
-            .filter(Number.isFinite);
-        return minWidths.length ? Math.max(...minWidths) : 240;
+    // Folds the rows that entered the view into the totals and takes out the ones that left. Group
+    // totals are rebuilt along with their groups, and rows changed in place no longer hold the values
+    // they were counted with, so both of those still rescan
+    _updateAggregates(previous, changed) {
+        if (!this._getAggregateColumns().length) return;
+
+        const before = new Set(previous);
+        if (this._isGrouped() || [...changed].some(row => before.has(row))) {
+            this._computeAggregates();
+            return;
+        }
+        const after = new Set(this._viewRows);
+        if (!previous.every(row => after.has(row) || this._accumulateRow(row, -1))) {
+            this._computeAggregates();
+            return;
+        }
+        this._viewRows.forEach(row => {
+            if (!before.has(row)) this._accumulateRow(row);
+        });
     }
 
-    _renderLayout() {
-        if (!this._schema.length || !this._rows.length) {
-            return this._renderEmptyState();
+    _getAggregateNumber(value, column) {
+        if (value === null || value === undefined) return null;
+
+        if (column.type === 'rating') {
+            const rating = this._parseRating(value);
+            return rating.isValid ? rating.value : null;
         }
 
-        return this._layoutType === 'table' 
-            ? this._renderTable()
-            : this._renderGrid();
-    }
+        if (DATE_TYPES.includes(column.type)) {
+            return this._toDate(value)?.getTime() ?? null;
+        }
 
-    _renderEmptyState() {
-        return `
-            <div class="empty-state">
-                <h3>No data available</h3>
-                <p>Add schema and rows to display content.</p>
-            </div>
-        `;
+        return this._toNumber(value);
     }
 
-    _renderTable() {
-        return `
-            <div class="table-container">
-                <table>
-                    <thead>
-                        <tr>
-                            ${this._schema.map(col => `
-                                <th class="${this._getSortClass(col)}" 
-                                    data-key="${col.key}"
-                                    style="${this._getColumnStyles(col)}"
-                                    role="columnheader"
-                                    scope="col"
-                                    tabindex="${col.sortable === false ? '-1' : '0'}"
-                                    aria-sort="${col.sort === 'ASC' ? 'ascending' : col.sort === 'DESC' ? 'descending' : 'none'}"
-                                    aria-disabled="${col.sortable === false ? 'true' : 'false'}">
-                                    ${this._renderHeaderContent(col)}
-                                </th>
-                            `).join('')}
-                        </tr>
-                    </thead>
-                    <tbody>
-                        ${this._rows.map(row => `
-                            <tr>
-                                ${this._renderTableRow(row)}
-                            </tr>
-                        `).join('')}
-                    </tbody>
-                </table>
-            </div>
-        `;
-    }
+    _getAggregateResult(column, state) {
+        if (!state) return column.aggregate === 'count' || column.aggregate === 'sum' ? 0 : null;
+        if (typeof column.aggregate === 'function') return state.result;
 
-    _renderTableRow(row) {
-        return this._schema.map(col => `
-            <td style="${this._getColumnStyles(col)}">
-                ${this._renderCellContent(row[col.key], col, false, row)}
-            </td>
-        `).join('');
+        switch (column.aggregate) {
+            case 'sum': return state.sum;
+            case 'avg': return state.count ? state.sum / state.count : null;
+            case 'min': return state.min;
+            case 'max': return state.max;
+            case 'count': return state.values;
+            default: return null;
+        }
     }
 
-    _renderGrid() {
-        return `
-            <div class="grid-container" role="list">
-                ${this._rows.map(row => `
-                    <div class="grid-card" role="listitem">
-                        ${this._renderGridCard(row)}
-                    </div>
-                `).join('')}
-            </div>
-        `;
+    _getFooterAggregate(column) {
+        // Only the server knows totals across pages that aren't loaded
+        if (this._isPaginationActive()) {
+            return this._serverAggregates[column.key] ?? null;
+        }
+        return this._getAggregateResult(column, this._aggregates.get(column.key));
     }
 
-    _renderGridCard(row) {
-        const imageCol = this._schema.find(col => col.type === 'image');
-        const otherCols = this._schema.filter(col => col.type !== 'image');
-        
-        let content = '';
-        
-        if (imageCol) {
-            content += this._renderCellContent(row[imageCol.key], imageCol, true);
-        }
+    _renderAggregateValue(column, states) {
+        const value = states === this._aggregates
+            ? this._getFooterAggregate(column)
+            : this._getAggregateResult(column, states?.get(column.key));
+        if (value === null || value === undefined) return '—';
+        if (typeof value !== 'number') return this._escapeHtml(String(value));
 
-        if (otherCols.length) {
-            const primaryField = otherCols[0];
-            const labelId = `label-${Math.random().toString(36).substr(2, 9)}`;
-            
-            content += `
-                <section role="group" aria-labelledby="${labelId}">
-                    ${otherCols.map((col, index) => `
-                        <div class="grid-field">
-                            <span class="grid-field-label" ${index === 0 ? `id="${labelId}"` : ''}>${this._renderHeaderContent(col, true)}:</span>
-                            <span class="grid-field-value">${this._renderCellContent(row[col.key], col, false, row)}</span>
-                        </div>
-                    `).join('')}
-                </section>
-            `;
+        // Counts are plain numbers; other results are shown like the column's own values
+        if (column.aggregate !== 'count' && (this._isNumericColumn(column) || DATE_TYPES.includes(column.type))) {
+            return this._escapeHtml(this._formatValue(value, column) ?? '—');
         }
+        const formatted = this._formatTemplateValue(value, 'number', { maximumFractionDigits: 2 });
+        return column.type === 'rating' && column.aggregate !== 'count'
+            ? `${formatted} <span class="rating-star" aria-hidden="true">★</span>`
+            : formatted;
+    }
 
-        return content;
+    _refreshAggregates() {
+        if (!this.shadowRoot) return;
+
+        // Rewrites only the rendered aggregate values, footer and group summaries alike
+        this.shadowRoot.querySelectorAll('[data-aggregate-key]').forEach(cell => {
+            const column = this._schema.find(col => col.key === cell.dataset.aggregateKey);
+            const summary = cell.closest('[data-group-summary]');
+            const group = summary && [...this._groups.values()].find(g => g.id === Number(summary.dataset.groupSummary));
+            const states = summary ? group?.aggregates : this._aggregates;
+            const valueEl = cell.querySelector('.aggregate-value');
+            if (column && valueEl) valueEl.innerHTML = this._renderAggregateValue(column, states);
+        });
     }
 
-    _renderCellContent(value, column, isGridImage = false, row = null) {
-        // Handle null/empty rows from page gaps
-        if (!row || typeof row !== 'object') {
-            row = {};
-        }
-        
-        // Optional: Use custom cell template if provided
-        if (column.cellTemplate) {
-            return this._renderTemplate(column.cellTemplate, {
-                value,
-                row,
-                column,
-                isGridImage
-            });
+    _getExportColumns(keys) {
+        // Default to the visible columns in the order they're shown
+        if (!Array.isArray(keys)) return this._getVisibleColumns();
+        return keys
+            .map(key => this._schema.find(col => col.key === key))
+            .filter(Boolean);
+    }
+
+    _getExportRows(scope) {
+        // Placeholders for pages that haven't loaded aren't real data
+        const isRow = row => row && typeof row === 'object' && !this._isPlaceholderRow(row);
+
+        switch (scope) {
+            case 'all':
+                return this._rows.filter(isRow);
+            case 'selected':
+                return this.selectedRows;
+            case 'filtered':
+                return this._viewRows.filter(isRow);
+            default:
+                console.warn(`SwivelGrid: Unknown export scope "${scope}", using filtered.`);
+                return this._viewRows.filter(isRow);
         }
+    }
 
-        // Default behavior: fallback to existing logic
-        if (value === null || value === undefined) {
-            const placeholder = '—';
-            return column.cellClass ? 
-                `<span class="${this._sanitizeClassName(column.cellClass)}">${placeholder}</span>` : 
-                placeholder;
+    _getExportValue(row, column) {
+        const value = row[column.key];
+
+        if (typeof column.exportFormatter === 'function') {
+            return column.exportFormatter(value, row, column);
         }
+        if (value === null || value === undefined) return '';
 
-        let content;
         switch (column.type) {
-            case 'rating':
-                content = this._renderRating(value);
-                break;
+            case 'rating': {
+                const rating = this._parseRating(value);
+                return rating.isValid ? `${rating.value}/${rating.max}` : '';
+            }
             case 'image':
-                content = this._renderImage(value, isGridImage);
-                break;
+                return this._parseImage(value).src;
             default:
-                content = this._escapeHtml(String(value));
-                break;
+                return value;
         }
+    }
 
-        // Apply cellClass to default content (but not to special types like rating/image)
-        if (column.cellClass && column.type !== 'rating' && column.type !== 'image') {
-            return `<span class="${this._sanitizeClassName(column.cellClass)}">${content}</span>`;
+    _serializeExportField(value, format) {
+        let text;
+        if (value === null || value === undefined) {
+            text = '';
+        } else if (value instanceof Date) {
+            text = isNaN(value.getTime()) ? '' : value.toISOString();
+        } else {
+            text = typeof value === 'object' ? JSON.stringify(value) : String(value);
         }
-        
-        return content;
+
+        // TSV has no quoting, so tabs and line breaks would split the cell
+        if (format === 'tsv') return text.replace(/[\t\r\n]+/g, ' ');
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
     }
 
-    _renderRating(value) {
-        const rating = this._parseRating(value);
-        if (!rating.isValid) {
-            return '<span title="Invalid rating">—</span>';
+    _escapeHtml(text) {
+        // Quotes too, since templates interpolate into attribute values
+        return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    _renderHeaderContent(column, isGridLabel = false) {
+        // Optional: Build the header from nodes. Card labels repeat per card, so only the table header is recycled
+        const slotTemplate = this._slotTemplates.get(`header:${column.key}`);
+        if (typeof column.headerRenderer === 'function' || slotTemplate) {
+            return this._renderNodeSlot(isGridLabel ? undefined : null, `header:${column.key}`, column.label, column, () => (slotTemplate && typeof column.headerRenderer !== 'function'
+                ? this._instantiateSlotTemplate(slotTemplate, { column, label: column.label, isGridLabel })
+                : column.headerRenderer(column, { isGridLabel })));
         }
 
-        const stars = [];
-        for (let i = 1; i <= rating.max; i++) {
-            const isFilled = i <= rating.value;
-            stars.push(`<span class="rating-star ${isFilled ? '' : 'empty'}">★</span>`);
+        // Optional: Use custom header template if provided
+        if (column.headerTemplate) {
+            const html = this._renderTemplate(column, 'headerTemplate', {
+                column,
+                label: column.label,
+                isGridLabel
+            });
+            if (html !== null) return html;
         }
 
-        return `
-            <div class="rating" aria-label="Rating: ${rating.value} out of ${rating.max}">
-                ${stars.join('')}
-                <span class="sr-only">Rating: ${rating.value} out of ${rating.max}</span>
-            </div>
-        `;
+        // Default behavior with optional class application
+        const label = this._escapeHtml(column.label);
+        if (column.headerClass) {
+            return `<span class="${this._sanitizeClassName(column.headerClass)}">${label}</span>`;
+        }
+        
+        return label;
     }
 
-    _renderImage(value, isGridImage = false) {
-        const image = this._parseImage(value);
-        const className = isGridImage ? 'grid-image' : 'table-image';
-        const placeholderClass = isGridImage ? 'grid-image-placeholder' : 'table-image-placeholder';
-        
-        if (!image.src) {
-            return `<div class="${placeholderClass}" title="No image">📷</div>`;
-        }
+    _renderTemplate(column, kind, context) {
+        const compiled = this._templates.get(column) || this._compileColumnTemplates(column);
+        const template = compiled[kind];
+        if (!template) return null;
 
-        const id = `img-${Math.random().toString(36).slice(2)}`;
-        queueMicrotask(() => {
-            const img = this.shadowRoot?.getElementById(id);
-            if (img) img.addEventListener('error', () => {
-                img.outerHTML = `<div class="${placeholderClass}" title="Image failed to load">📷</div>`;
-            }, { once: true });
-        });
-        return `<img id="${id}" class="${className}" src="${this._escapeHtml(image.src)}" alt="${this._escapeHtml(image.alt)}" />`;
+        try {
+            return template({ data: context, locals: { this: context }, parent: null });
+        } catch (error) {
+            console.error('Template rendering error:', error);
+            // Fallback to default rendering on error
+            return null;
+        }
     }
 
-    _parseRating(value) {
-        if (typeof value === 'object' && value !== null) {
-            return {
-                value: parseInt(value.value) || 0,
-                max: parseInt(value.max) || 5,
-                isValid: !isNaN(value.value)
-            };
-        }
-        
-        if (typeof value === 'string' && value.includes('/')) {
-            const [val, max] = value.split('/').map(s => parseInt(s.trim()));
-            return {
-                value: val || 0,
-                max: max || 5,
-                isValid: !isNaN(val) && !isNaN(max)
-            };
+    _compileColumnTemplates(column) {
+        const compiled = {};
+        for (const kind of ['headerTemplate', 'cellTemplate']) {
+            if (typeof column[kind] !== 'string') continue;
+            try {
+                compiled[kind] = this._compileTemplate(column[kind]);
+            } catch (error) {
+                console.warn(`SwivelGrid: Invalid ${kind} for column "${column.key}", using default rendering. ${error.message}`);
+                compiled[kind] = null;
+            }
         }
-        
-        const numValue = parseInt(value);
-        return {
-            value: numValue || 0,
-            max: 5,
-            isValid: !isNaN(numValue)
-        };
+        this._templates.set(column, compiled);
+        return compiled;
     }
 
-    _parseImage(value) {
-        if (typeof value === 'object' && value !== null) {
-            return {
-                src: value.src || '',
-                alt: value.alt || 'Image'
-            };
+    // Turns a template into nested render functions of a scope chain ({ data, locals, parent }),
+    // so rendering a cell never re-parses the template
+    _compileTemplate(source, { escape = true } = {}) {
+        const tagPattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+        const root = { name: null, body: [] };
+        const stack = [root];
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tagPattern.exec(source))) {
+            const block = stack[stack.length - 1];
+            const text = source.slice(lastIndex, match.index);
+            if (text) block.body.push(() => text);
+            lastIndex = tagPattern.lastIndex;
+
+            const tag = match[1];
+            const opening = tag.match(/^#(if|each)\s+([\s\S]+)$/);
+            const elseIf = tag.match(/^else\s+if\s+([\s\S]+)$/);
+            const closing = tag.match(/^\/(if|each)$/);
+
+            if (opening) {
+                const branch = { test: this._compileTemplateExpression(opening[2]), body: [] };
+                stack.push({ name: opening[1], branches: [branch], alternate: null, body: branch.body });
+            } else if (tag === 'else' || elseIf) {
+                if (block === root || block.alternate || (elseIf && block.name !== 'if')) {
+                    throw new Error(`Unexpected {{${tag}}}`);
+                }
+                if (elseIf) {
+                    const branch = { test: this._compileTemplateExpression(elseIf[1]), body: [] };
+                    block.branches.push(branch);
+                    block.body = branch.body;
+                } else {
+                    block.alternate = block.body = [];
+                }
+            } else if (closing) {
+                if (block.name !== closing[1]) throw new Error(`Unexpected {{${tag}}}`);
+                stack.pop();
+                stack[stack.length - 1].body.push(block.name === 'if'
+                    ? this._compileTemplateIf(block)
+                    : this._compileTemplateEach(block));
+            } else if (/^[#/]/.test(tag)) {
+                throw new Error(`Unknown block {{${tag}}}`);
+            } else {
+                const expression = this._compileTemplateExpression(tag);
+                block.body.push(scope => {
+                    const value = expression(scope);
+                    if (value === null || value === undefined) return '';
+                    return escape ? this._escapeHtml(String(value)) : String(value);
+                });
+            }
         }
-        
-        return {
-            src: String(value || ''),
-            alt: 'Image'
-        };
+
+        if (stack.length > 1) throw new Error(`Missing {{/${stack[stack.length - 1].name}}}`);
+        const text = source.slice(lastIndex);
+        if (text) root.body.push(() => text);
+
+        return this._joinTemplateParts(root.body);
     }
 
-    _getSortClass(column) {
-        const classes = [];
-        if (column.sortable !== false) classes.push('sortable');
-        if (column.sort === 'ASC') classes.push('sort-asc');
-        if (column.sort === 'DESC') classes.push('sort-desc');
-        return classes.join(' ');
+    _joinTemplateParts(parts) {
+        return scope => {
+            let html = '';
+            for (const part of parts) html += part(scope);
+            return html;
+        };
     }
 
-    _getColumnStyles(column) {
-        const styles = [];
-        if (column.minWidth) styles.push(`min-width: ${column.minWidth}`);
-        if (column.maxWidth) styles.push(`max-width: ${column.maxWidth}`);
-        return styles.join('; ');
+    _compileTemplateIf(block) {
+        const branches = block.branches.map(branch => ({
+            test: branch.test,
+            render: this._joinTemplateParts(branch.body)
+        }));
+        const alternate = block.alternate ? this._joinTemplateParts(block.alternate) : null;
+
+        return scope => {
+            for (const branch of branches) {
+                if (this._isTemplateTruthy(branch.test(scope))) return branch.render(scope);
+            }
+            return alternate ? alternate(scope) : '';
+        };
     }
 
-    _attachSortListeners() {
-        const headers = this.shadowRoot.querySelectorAll('th[data-key]');
-        headers.forEach(header => {
-            const key = header.dataset.key;
-            const col = this._schema.find(c => c.key === key);
-            if (col?.sortable === false) return;
-            
-            header.addEventListener('click', (e) => {
-                this._handleSort(e.currentTarget.dataset.key);
+    _compileTemplateEach(block) {
+        const [{ test: items, body }] = block.branches;
+        const render = this._joinTemplateParts(body);
+        const alternate = block.alternate ? this._joinTemplateParts(block.alternate) : null;
+
+        return scope => {
+            const value = items(scope);
+            const entries = Array.isArray(value)
+                ? value.map((item, index) => [index, item])
+                : value && typeof value === 'object' ? Object.entries(value) : [];
+            if (!entries.length) return alternate ? alternate(scope) : '';
+
+            let html = '';
+            entries.forEach(([key, item], index) => {
+                html += render({
+                    data: item,
+                    locals: { this: item, '@index': index, '@key': key, '@first': index === 0, '@last': index === entries.length - 1 },
+                    parent: scope
+                });
             });
-            header.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' || e.key === ' ') {
-                    e.preventDefault();
-                    this._handleSort(e.currentTarget.dataset.key);
+            return html;
+        };
+    }
+
+    // Expressions: paths, literals, !, comparisons, && and ||, parentheses and `| formatter:arg` pipes
+    _compileTemplateExpression(source) {
+        const tokenPattern = /\s*(?:(-?\d+(?:\.\d+)?)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(===|!==|==|!=|<=|>=|&&|\|\||[<>!|:()])|(@?[A-Za-z_$][\w$]*(?:\.[\w$]+)*))/y;
+        const literals = { true: true, false: false, null: null, undefined };
+        const tokens = [];
+        const input = source.trim();
+        let index = 0;
+
+        while (index < input.length) {
+            tokenPattern.lastIndex = index;
+            const match = tokenPattern.exec(input);
+            if (!match) throw new Error(`Unexpected "${input.slice(index)}" in {{${input}}}`);
+            index = tokenPattern.lastIndex;
+
+            const [, number, single, double, operator, path] = match;
+            if (number !== undefined) {
+                tokens.push({ type: 'literal', value: Number(number) });
+            } else if (single !== undefined || double !== undefined) {
+                tokens.push({ type: 'literal', value: (single ?? double).replace(/\\(.)/g, '$1') });
+            } else if (operator) {
+                tokens.push({ type: 'operator', value: operator });
+            } else if (Object.hasOwn(literals, path)) {
+                tokens.push({ type: 'literal', value: literals[path] });
+            } else {
+                const keys = path.split('.');
+                if (keys.some(key => BLOCKED_TEMPLATE_KEYS.includes(key))) {
+                    throw new Error(`"${path}" can't be used in {{${input}}}`);
+                }
+                tokens.push({ type: 'path', value: keys });
+            }
+        }
+
+        let position = 0;
+        const fail = () => {
+            const token = tokens[position];
+            throw new Error(token
+                ? `Unexpected "${Array.isArray(token.value) ? token.value.join('.') : token.value}" in {{${input}}}`
+                : `Unexpected end of {{${input}}}`);
+        };
+        const accept = value => {
+            const token = tokens[position];
+            if (token?.type !== 'operator' || token.value !== value) return false;
+            position++;
+            return true;
+        };
+
+        const parsePrimary = () => {
+            const token = tokens[position];
+            if (accept('(')) {
+                const inner = parsePipes();
+                if (!accept(')')) fail();
+                return inner;
+            }
+            if (!token || token.type === 'operator') fail();
+            position++;
+            return token.type === 'literal'
+                ? () => token.value
+                : scope => this._resolveTemplatePath(scope, token.value);
+        };
+        const parseUnary = () => {
+            if (!accept('!')) return parsePrimary();
+            const operand = parseUnary();
+            return scope => !this._isTemplateTruthy(operand(scope));
+        };
+        const parseComparison = () => {
+            const left = parseUnary();
+            const token = tokens[position];
+            const compare = token?.type === 'operator' ? TEMPLATE_COMPARATORS[token.value] : null;
+            if (!compare) return left;
+            position++;
+            const right = parseUnary();
+            return scope => compare(left(scope), right(scope));
+        };
+        const parseLogical = (operator, parseOperand) => () => {
+            let left = parseOperand();
+            while (accept(operator)) {
+                const first = left;
+                const second = parseOperand();
+                left = operator === '&&'
+                    ? scope => { const value = first(scope); return this._isTemplateTruthy(value) ? second(scope) : value; }
+                    : scope => { const value = first(scope); return this._isTemplateTruthy(value) ? value : second(scope); };
+            }
+            return left;
+        };
+        const parseOr = parseLogical('||', parseLogical('&&', parseComparison));
+        const parsePipes = () => {
+            let value = parseOr();
+            while (accept('|')) {
+                const token = tokens[position++];
+                if (token?.type !== 'path' || token.value.length !== 1) {
+                    position--;
+                    fail();
+                }
+                const [name] = token.value;
+                const args = [];
+                while (accept(':')) args.push(parsePrimary());
+                if (name === 'safeUrl') {
+                    // The sanitizer's URL check is bound here rather than looked up when rendering
+                    const unchecked = value;
+                    value = scope => this._toSafeUrl(unchecked(scope));
+                    continue;
+                }
+                if (!TEMPLATE_FORMATTERS.has(name)) {
+                    console.warn(`SwivelGrid: Unknown template formatter "${name}" in {{${input}}}.`);
                 }
-            });
-        });
-    }
 
-    _handleSort(key) {
-        const column = this._schema.find(col => col.key === key);
-        if (!column) return;
+                const piped = value;
+                value = scope => {
+                    const formatter = TEMPLATE_FORMATTERS.get(name);
+                    const result = piped(scope);
+                    return formatter ? formatter.call(this, result, ...args.map(arg => arg(scope))) : result;
+                };
+            }
+            return value;
+        };
 
-        // Toggle sort direction
-        const currentSort = column.sort;
-        const newDirection = currentSort === 'ASC' ? 'DESC' : 'ASC';
-        
-        // Clear all other sorts and set new sort
-        this._schema.forEach(col => {
-            col.sort = col.key === key ? newDirection : undefined;
-        });
+        const expression = parsePipes();
+        if (position < tokens.length) fail();
+        return expression;
+    }
 
-        // Check if pagination is active (server-side data)
-        const isPaginationActive = this._totalPages !== null;
-        
-        if (isPaginationActive) {
-            // For server-side pagination, do NOT perform local sorting
-            // This would break page boundaries and cause inconsistent data
-            console.warn('SwivelGrid: Client-side sorting disabled when pagination is active. Sorting should be handled server-side via sortHandler.');
-        } else {
-            // Reset paging when sorting (only for client-side data)
-            this._currentPage = 1;
-            this._lastTriggeredPage = 0;
-            this._endReached = false;
-            
-            // Sort the data (client-side only)
-            this._sortData(key, newDirection, column.sortComparator);
+    _resolveTemplatePath(scope, [head, ...rest]) {
+        let value;
+        for (let frame = scope; frame; frame = frame.parent) {
+            if (Object.hasOwn(frame.locals, head)) {
+                value = frame.locals[head];
+                break;
+            }
+            if (frame.data && typeof frame.data === 'object' && head in frame.data) {
+                value = frame.data[head];
+                break;
+            }
         }
 
-        // Trigger handlers and events
-        this._sortHandler?.({ key, direction: newDirection });
-        this._dispatchEvent('sort', { key, direction: newDirection });
+        for (const key of rest) {
+            if (value === null || value === undefined) return undefined;
+            value = value[key];
+        }
+        return value;
+    }
 
-        // Re-render to show new sort indicators
-        this.render();
+    // Empty lists are falsy so {{#if row.tags}} can guard an {{#each}}
+    _isTemplateTruthy(value) {
+        return Array.isArray(value) ? value.length > 0 : Boolean(value);
     }
 
-    _sortData(key, direction, customComparator) {
-        this._rows.sort((a, b) => {
-            const aVal = a[key];
-            const bVal = b[key];
+    // Placeholder for content built from nodes; _mountNodes() fills it once the HTML is in the shadow root.
+    // An undefined owner opts out of recycling
+    _renderNodeSlot(owner, slot, value, column, create) {
+        const id = this._nextNodeSlotId++;
+        this._pendingNodeSlots.set(id, { owner, slot, value, column, create });
+        return `<span class="node-content" data-node-slot="${id}"></span>`;
+    }
 
-            let result;
-            if (customComparator) {
-                result = customComparator(aVal, bVal, a, b);
-            } else {
-                result = this._defaultSort(aVal, bVal, key);
+    _mountNodes() {
+        // Detail content is built from nodes too, so the detail rows and panels go in first
+        this._syncDetails();
+        this.shadowRoot.querySelectorAll('[data-node-slot]').forEach(placeholder => {
+            const pending = this._pendingNodeSlots.get(Number(placeholder.dataset.nodeSlot));
+            placeholder.removeAttribute('data-node-slot');
+            if (!pending) return;
+
+            const { owner, slot, value, column, create } = pending;
+            const slots = owner === undefined ? null : this._mountedNodes.get(owner) || new Map();
+            const mounted = slots?.get(slot);
+
+            // A cell still showing the same value gets its old nodes back, with their listeners and state
+            if (mounted && mounted.column === column && Object.is(mounted.value, value) &&
+                !this.shadowRoot.contains(mounted.element)) {
+                placeholder.replaceWith(mounted.element);
+                return;
+            }
+
+            let content = null;
+            try {
+                content = create();
+            } catch (error) {
+                console.error(`SwivelGrid: Renderer for ${column ? `column "${column.key}"` : 'row details'} failed.`, error);
+            }
+            if (content instanceof Node) {
+                placeholder.append(content);
+            } else if (content !== null && content !== undefined) {
+                placeholder.textContent = String(content);
             }
 
-            return direction === 'DESC' ? -result : result;
+            if (slots) {
+                // The nodes this replaces showed an old value
+                if (mounted && !this.shadowRoot.contains(mounted.element)) this._disposeNode(owner, slot, mounted);
+                slots.set(slot, { element: placeholder, value, column });
+                this._mountedNodes.set(owner, slots);
+            }
         });
+        this._pendingNodeSlots.clear();
+        this._disposeNodes();
+        this._observeMasonryItems();
     }
 
-    _defaultSort(a, b, key) {
-        const column = this._schema.find(col => col.key === key);
-        const type = column?.type || 'text';
+    // Disposes nodes whose row left the shadow root, or every node when the grid is destroyed
+    _disposeNodes(all = false) {
+        this._mountedNodes.forEach((slots, owner) => {
+            slots.forEach((mounted, slot) => {
+                if (!all && this.shadowRoot.contains(mounted.element)) return;
+                slots.delete(slot);
+                this._disposeNode(owner, slot, mounted);
+            });
+            if (!slots.size) this._mountedNodes.delete(owner);
+        });
+    }
 
-        if (type === 'rating') {
-            const aRating = this._parseRating(a);
-            const bRating = this._parseRating(b);
-            const aRatio = aRating.isValid ? aRating.value / aRating.max : 0;
-            const bRatio = bRating.isValid ? bRating.value / bRating.max : 0;
-            return aRatio - bRatio;
+    _disposeNode(row, slot, { element, column }) {
+        if (!slot.startsWith('cell:') || typeof column.cellDispose !== 'function') return;
+        try {
+            column.cellDispose(element, row, column);
+        } catch (error) {
+            console.error(`SwivelGrid: cellDispose for column "${column.key}" failed.`, error);
         }
+    }
 
-        if (type === 'image') {
-            const aImg = this._parseImage(a);
-            const bImg = this._parseImage(b);
-            return aImg.src.localeCompare(bImg.src);
-        }
+    // Clones a light-DOM template, filling {{…}} in text and attributes and .prop="{{…}}" property bindings
+    _instantiateSlotTemplate(template, context) {
+        // importNode rather than cloneNode, so custom elements are upgraded before their properties are set
+        const fragment = document.importNode(template.content, true);
+        const scope = { data: context, locals: { this: context }, parent: null };
+        const walker = document.createTreeWalker(fragment, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
 
-        // Default text/numeric comparison
-        if (typeof a === 'number' && typeof b === 'number') {
-            return a - b;
-        }
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            if (node.nodeType === Node.TEXT_NODE) {
+                if (node.data.includes('{{')) node.data = this._evaluateBinding(node.data, scope);
+                continue;
+            }
 
-        return String(a || '').localeCompare(String(b || ''));
+            for (const { name, value } of [...node.attributes]) {
+                if (name.startsWith('.')) {
+                    // Attribute names are lower case, so .item-data sets itemData
+                    const property = name.slice(1).replace(/-([a-z])/g, (match, char) => char.toUpperCase());
+                    const expression = value.match(/^\s*\{\{([\s\S]*?)\}\}\s*$/);
+                    node.removeAttribute(name);
+                    node[property] = expression ? this._evaluateBinding(expression[1], scope, true) : value;
+                } else if (value.includes('{{')) {
+                    // Bound handlers and styles would run or load whatever the data holds
+                    if (/^on/i.test(name) || name === 'style') {
+                        node.removeAttribute(name);
+                        continue;
+                    }
+                    const text = this._evaluateBinding(value, scope);
+                    if (this._sanitizerConfig.urlAttributes.includes(name) && !this._isAllowedUrl(text)) {
+                        node.removeAttribute(name);
+                    } else {
+                        node.setAttribute(name, text);
+                    }
+                }
+            }
+        }
+        return fragment;
     }
 
-    _escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Text bindings render unescaped into text nodes and attributes; expression bindings return the raw value
+    _evaluateBinding(source, scope, isExpression = false) {
+        const cacheKey = `${isExpression ? 'expression' : 'text'}:${source}`;
+        let compiled = this._bindingCache.get(cacheKey);
+        if (compiled === undefined) {
+            try {
+                compiled = isExpression
+                    ? this._compileTemplateExpression(source)
+                    : this._compileTemplate(source, { escape: false });
+            } catch (error) {
+                console.warn(`SwivelGrid: Invalid binding "${source}" in a light-DOM template. ${error.message}`);
+                compiled = null;
+            }
+            this._bindingCache.set(cacheKey, compiled);
+        }
+        return compiled ? compiled(scope) : source;
     }
 
-    _renderHeaderContent(column, isGridLabel = false) {
-        // Optional: Use custom header template if provided
-        if (column.headerTemplate) {
-            return this._renderTemplate(column.headerTemplate, {
-                column,
-                label: column.label,
-                isGridLabel
-            });
+    _sanitizeTemplate(template, column = {}, kind = 'cellTemplate') {
+        if (typeof template !== 'string') return null;
+
+        // Swap {{…}} tags for inert placeholders so the HTML parser can't reshape expressions like a < b
+        const tags = [];
+        const protectedTemplate = template.replace(/\{\{[\s\S]*?\}\}/g, tag => `{{${tags.push(tag) - 1}}}`);
+        const restore = text => text.replace(/\{\{(\d+)\}\}/g, (match, index) => tags[index] ?? match);
+
+        const container = document.createElement('template');
+        container.innerHTML = protectedTemplate;
+        const removed = [];
+        this._sanitizeNode(container.content, tags, removed);
+
+        if (removed.length) {
+            for (const entry of removed) {
+                if (entry.value !== undefined) entry.value = restore(entry.value);
+            }
+            console.warn(`SwivelGrid: Removed unsafe content from the ${kind}${column.key === undefined ? '' : ` of column "${column.key}"`}.`, removed);
+            this._dispatchEvent('sanitize', { key: column.key, template: kind, removed });
         }
+        return restore(container.innerHTML);
+    }
 
-        // Default behavior with optional class application
-        const label = this._escapeHtml(column.label);
-        if (column.headerClass) {
-            return `<span class="${this._sanitizeClassName(column.headerClass)}">${label}</span>`;
+    _sanitizeNode(node, tags, removed) {
+        const { allowedTags } = this._sanitizerConfig;
+
+        for (const child of [...node.childNodes]) {
+            if (child.nodeType === Node.COMMENT_NODE) {
+                removed.push({ type: 'comment', value: child.data });
+                child.remove();
+                continue;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+            const tag = child.localName;
+            if (!allowedTags.includes(tag)) {
+                removed.push({ type: 'tag', name: tag });
+                if (DROPPED_CONTENT_TAGS.includes(tag)) {
+                    child.remove();
+                } else {
+                    // Unknown but harmless wrappers keep their content
+                    this._sanitizeNode(child, tags, removed);
+                    child.replaceWith(...child.childNodes);
+                }
+                continue;
+            }
+
+            for (const { name, value } of [...child.attributes]) {
+                const reason = this._sanitizeAttribute(child, name, value, tags, removed);
+                if (reason) {
+                    removed.push({ type: reason, name, value });
+                    child.removeAttribute(name);
+                }
+            }
+            this._sanitizeNode(child, tags, removed);
         }
-        
-        return label;
     }
 
-    _renderTemplate(template, context) {
-        if (typeof template !== 'string') {
-            console.warn('Template must be a string, falling back to default rendering');
-            return context.value ? this._escapeHtml(String(context.value)) : '';
+    // Returns why the attribute has to go, or null when it can stay (possibly rewritten)
+    _sanitizeAttribute(element, name, value, tags, removed) {
+        const { allowedAttributes, urlAttributes } = this._sanitizerConfig;
+        const isAllowed = allowedAttributes.some(allowed => (allowed.endsWith('*')
+            ? name.startsWith(allowed.slice(0, -1))
+            : name === allowed));
+        // Event handlers are never allowed, whatever the config says
+        if (!isAllowed || /^on/i.test(name)) return 'attribute';
+
+        if (name === 'style') {
+            const declarations = value.split(';');
+            const kept = declarations.filter(declaration => this._isSafeStyleDeclaration(declaration));
+            if (kept.length === declarations.length) return null;
+            if (!kept.join('').trim()) return 'style';
+
+            for (const declaration of declarations) {
+                if (!kept.includes(declaration)) removed.push({ type: 'style', name, value: declaration.trim() });
+            }
+            element.setAttribute(name, kept.join(';'));
+            return null;
         }
 
-        try {
-            // Simple template interpolation with context variables
-            return template.replace(/\{\{\s*([^}]+)\s*\}\}/g, (match, expression) => {
-                const keys = expression.trim().split('.');
-                let value = context;
-                
-                // Navigate nested object properties
-                for (const key of keys) {
-                    if (value && typeof value === 'object' && key in value) {
-                        value = value[key];
-                    } else {
-                        return match; // Keep original if property not found
-                    }
-                }
-                
-                // Return escaped HTML for security
-                return value !== null && value !== undefined ? this._escapeHtml(String(value)) : '';
-            });
-        } catch (error) {
-            console.error('Template rendering error:', error);
-            // Fallback to default rendering on error
-            return context.value ? this._escapeHtml(String(context.value)) : '';
+        if (urlAttributes.includes(name)) {
+            const placeholder = value.match(/\{\{(\d+)\}\}/);
+            const prefix = placeholder ? value.slice(0, placeholder.index).replace(/[\u0000- ]/g, '') : null;
+
+            // A leading {{value}} decides the scheme at render time, so it's checked then. Text or another
+            // value right after it could still finish the scheme ("{{a}}:{{b}}"), unless a path, query or
+            // fragment starts first. Tabs and newlines are dropped from URLs, so they don't count
+            if (prefix === '') {
+                const rest = value.slice(placeholder.index + placeholder[0].length).replace(/[\t\n\r]/g, '');
+                if (rest.trim() && !/^[/?#]/.test(rest)) return 'url';
+                const expression = tags[placeholder[1]].match(/^\{\{\s*([\s\S]*?)\s*\}\}$/)[1];
+                if (/^[#/]|^else\b/.test(expression)) return 'url';
+                tags[placeholder[1]] = `{{(${expression}) | safeUrl}}`;
+                return null;
+            }
+            // Text like "java{{value}}" could still become a scheme
+            if (prefix !== null && !/[:/?#]/.test(prefix)) return 'url';
+            return this._isAllowedUrl(value) ? null : 'url';
         }
+
+        return null;
     }
 
-    _sanitizeTemplate(template) {
-        if (typeof template !== 'string') return null;
-        
-        // Basic template validation - only allow simple interpolation
-        // This prevents script injection while allowing HTML structure
-        const dangerousPatterns = [
-            /<script[^>]*>/gi,
-            /javascript:/gi,
-            /vbscript:/gi,
-            /data:/gi,
-            /on\w+\s*=/gi,
-            /<iframe[^>]*>/gi,
-            /<object[^>]*>/gi,
-            /<embed[^>]*>/gi
-        ];
-        
-        for (const pattern of dangerousPatterns) {
-            if (pattern.test(template)) {
-                console.warn('Template contains potentially dangerous content, sanitizing');
-                return template.replace(pattern, '');
+    // False for declarations that can run script or load from a disallowed scheme
+    _isSafeStyleDeclaration(declaration) {
+        const text = declaration.replace(/\/\*[\s\S]*?\*\/|\\/g, '');
+        if (/expression\s*\(|behavior\s*:|-moz-binding|@import|javascript:|vbscript:/i.test(text)) return false;
+        return [...text.matchAll(/url\s*\(\s*['"]?([^'")]*)/gi)].every(([, url]) => this._isAllowedUrl(url));
+    }
+
+    _toSafeUrl(value) {
+        return value === null || value === undefined || !this._isAllowedUrl(value) ? '' : value;
+    }
+
+    _isAllowedUrl(url) {
+        // Browsers ignore control characters and spaces inside the scheme
+        const scheme = String(url).replace(/[\u0000- ]/g, '').match(/^([a-z][a-z\d+.-]*):/i);
+        return !scheme || this._sanitizerConfig.allowedUrlSchemes.includes(scheme[1].toLowerCase());
+    }
+
+    _normalizeSanitizerConfig(config) {
+        const normalized = { ...DEFAULT_SANITIZER_CONFIG };
+        if (config && typeof config === 'object') {
+            for (const key of Object.keys(DEFAULT_SANITIZER_CONFIG)) {
+                if (Array.isArray(config[key])) {
+                    normalized[key] = config[key].map(entry => String(entry).toLowerCase());
+                }
             }
         }
-        
-        return template;
+        return normalized;
     }
 
     _sanitizeClassName(s) {
@@ -1158,6 +5927,11 @@ class SwivelGrid extends HTMLElement {
     }
 
     _updateCurrentPage() {
+        // With windowed paging the current page is the one in view, kept by _handleScroll()
+        if (this._isWindowedPaging()) {
+            this._updateLoadMoreSection();
+            return;
+        }
         if (this._rows.length === 0) {
             this._currentPage = 1;
         } else {
@@ -1166,39 +5940,49 @@ class SwivelGrid extends HTMLElement {
         this._updateLoadMoreSection();
     }
 
+    // Pages covered by _rows, including evicted ones held by placeholders
+    _getLoadedPageCount() {
+        return Math.ceil(this._rows.length / this._pageSize);
+    }
+
     _updateLoadMoreSection() {
         const loadMoreSection = this.shadowRoot?.querySelector('.load-more-section');
         if (loadMoreSection) {
             loadMoreSection.innerHTML = this._getLoadMoreContent();
             this._bindLoadMoreEvents();
         }
+        this._syncLoadingSkeletons();
     }
 
     _renderLoadMore() {
         // Only show load more section if totalPages is set and we haven't reached the end
-        if (this._totalPages && this._currentPage < this._totalPages) {
-            return `<div class="load-more-section">${this._getLoadMoreContent()}</div>`;
+        if (this._totalPages && this._getLoadedPageCount() < this._totalPages) {
+            return `<div class="load-more-section" part="load-more">${this._getLoadMoreContent()}</div>`;
         }
         return '';
     }
 
     _getLoadMoreContent() {
         if (this._loading) {
-            return '<div class="spinner"></div>Loading more...';
+            return `<div class="spinner"></div>${this._escapeHtml(this._formatMessage('loadingMore'))}`;
         }
         
-        if (this._loadMoreCallback) {
-            return '<button class="load-more-button" id="load-more-btn">Load More</button>';
+        if (this._loadMoreCallback || this._dataSource) {
+            return `<button class="load-more-button" part="load-more-button" id="load-more-btn">${this._escapeHtml(this._formatMessage('loadMore'))}</button>`;
         }
         
-        return '<div style="color: #6c757d;">Scroll to load more content</div>';
+        return `<div style="color: var(--swivel-muted-color);">${this._escapeHtml(this._formatMessage('scrollToLoadMore'))}</div>`;
     }
 
     _bindLoadMoreEvents() {
         const loadMoreBtn = this.shadowRoot?.getElementById('load-more-btn');
         if (loadMoreBtn && this._loadMoreCallback) {
             loadMoreBtn.addEventListener('click', () => {
-                this._loadMoreCallback();
+                this._loadMoreCallback(this._getLoadedPageCount() + 1);
+            });
+        } else if (loadMoreBtn && this._dataSource) {
+            loadMoreBtn.addEventListener('click', () => {
+                this._loadPage(this._getLoadedPageCount() + 1);
             });
         }
     }
@@ -1236,12 +6020,363 @@ class SwivelGrid extends HTMLElement {
                 nextPage 
             });
             
-            // Auto-prefetch if callback is set
-            if (this._loadMoreCallback && (!this._totalPages || nextPage <= this._totalPages)) {
+            // Pages inside the loaded range are fetched again by _requestWindowPages() instead
+            if (this._isWindowedPaging() && nextPage <= this._getLoadedPageCount()) return;
+            
+            // Auto-prefetch from the data source, or through the callback if one is set
+            if (this._dataSource) {
+                this._loadPage(nextPage);
+            } else if (this._loadMoreCallback && (!this._totalPages || nextPage <= this._totalPages)) {
                 this._loading = true;
-                this._loadMoreCallback();
+                this._loadMoreCallback(nextPage);
+            }
+        }
+    }
+
+    _restorePendingScroll() {
+        const pending = this._pendingScroll;
+        const container = this._scrollContainer;
+        if (!pending || !container || !this._rows.length) return;
+
+        container.scrollTop = pending.scrollTop;
+        const loadedPages = this._getLoadedPageCount();
+        const reached = container.scrollTop >= pending.scrollTop - 1 && loadedPages >= pending.page;
+        const exhausted = this._endReached || (this._totalPages !== null && loadedPages >= this._totalPages);
+        if (reached || exhausted) {
+            this._pendingScroll = null;
+            return;
+        }
+
+        // Too few rows to scroll that far yet - ask for the next page as if the user had scrolled to the end.
+        // Each page that arrives calls back in here until the position is reachable.
+        this._checkThresholdTrigger(loadedPages, this._rows.length - 1);
+    }
+
+    _persistState() {
+        if (!this.isConnected || (!this._persistKey && this._syncUrl === null)) return;
+
+        // Scrolling and rapid re-renders collapse into one write
+        clearTimeout(this._persistTimer);
+        this._persistTimer = setTimeout(() => {
+            const state = this.getState();
+            if (this._persistKey) {
+                try {
+                    localStorage.setItem(`swivel-grid:${this._persistKey}`, JSON.stringify(state));
+                } catch (error) {
+                    console.warn('SwivelGrid: Could not save grid state.', error);
+                }
+            }
+            if (this._syncUrl !== null) {
+                this._writeUrlState(state);
+            }
+        }, 250);
+    }
+
+    _readStoredState() {
+        if (!this._persistKey) return null;
+        try {
+            return JSON.parse(localStorage.getItem(`swivel-grid:${this._persistKey}`) || 'null');
+        } catch (error) {
+            console.warn('SwivelGrid: Ignoring unreadable saved grid state.', error);
+            return null;
+        }
+    }
+
+    _getUrlParam(name) {
+        return this._syncUrl ? `${this._syncUrl}.${name}` : name;
+    }
+
+    _writeUrlState(state) {
+        const url = new URL(window.location.href);
+        const set = (name, value) => {
+            if (value === null || value === '') {
+                url.searchParams.delete(this._getUrlParam(name));
+            } else {
+                url.searchParams.set(this._getUrlParam(name), value);
+            }
+        };
+        const hasCustomColumns = state.columnState.some((entry, index) =>
+            entry.hidden || entry.width || entry.key !== this._schema[index]?.key
+        );
+
+        // Empty and default values are left out to keep links short
+        set('layout', state.layoutType === (this._initialLayoutMode ?? 'grid') ? null : state.layoutType);
+        set('sort', state.sortModel.map(entry => `${entry.key}:${entry.direction.toLowerCase()}`).join(','));
+        set('q', state.query);
+        set('filters', Object.keys(state.filters).length ? JSON.stringify(state.filters) : null);
+        set('columns', hasCustomColumns ? JSON.stringify(state.columnState) : null);
+        set('group', state.groupBy.join(','));
+        set('page', state.currentPage > 1 ? String(state.currentPage) : null);
+        set('scroll', state.scrollTop > 0 ? String(state.scrollTop) : null);
+
+        // replaceState, so scrolling and sorting don't flood the history
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    _readUrlState() {
+        if (this._syncUrl === null) return null;
+
+        const params = new URL(window.location.href).searchParams;
+        const get = name => params.get(this._getUrlParam(name));
+        const parseJson = (name) => {
+            try {
+                return JSON.parse(get(name));
+            } catch (error) {
+                console.warn(`SwivelGrid: Ignoring invalid "${this._getUrlParam(name)}" URL parameter.`);
+                return undefined;
+            }
+        };
+
+        const state = {};
+        if (get('layout') !== null) state.layoutType = get('layout');
+        if (get('sort') !== null) {
+            state.sortModel = get('sort').split(',').filter(Boolean).map(part => {
+                const [key, direction] = part.split(':');
+                return { key, direction };
+            });
+        }
+        if (get('q') !== null) state.query = get('q');
+        if (get('filters') !== null) state.filters = parseJson('filters');
+        if (get('columns') !== null) state.columnState = parseJson('columns');
+        if (get('group') !== null) state.groupBy = get('group');
+        if (get('page') !== null) state.currentPage = Number(get('page'));
+        if (get('scroll') !== null) state.scrollTop = Number(get('scroll'));
+
+        return Object.keys(state).length ? state : null;
+    }
+
+    _isPaginationActive() {
+        // A data source pages on the server even before the first response sets totalPages,
+        // and windowed paging keeps rows at their page positions
+        return this._totalPages !== null || Boolean(this._dataSource) || this._isWindowedPaging();
+    }
+
+    _isWindowedPaging() {
+        return this._maxPages !== null;
+    }
+
+    _createPlaceholderRow(page) {
+        const row = {};
+        this._placeholderRows.set(row, page);
+        return row;
+    }
+
+    _isPlaceholderRow(row) {
+        return this._placeholderRows.has(row);
+    }
+
+    _isPageResident(page) {
+        const row = this._rows[(page - 1) * this._pageSize];
+        return row !== undefined && !this._isPlaceholderRow(row);
+    }
+
+    // Puts a page in place, replacing its placeholders in the DOM without a rebuild
+    _replacePage(rows, page) {
+        const start = (page - 1) * this._pageSize;
+        const fresh = !this._rows.length;
+        
+        // Pages that haven't arrived yet are held open by placeholders, the same as evicted ones
+        while (this._rows.length < start) {
+            this._rows.push(this._createPlaceholderRow(Math.floor(this._rows.length / this._pageSize) + 1));
+        }
+        this._unindexRows(this._rows.splice(start, this._pageSize, ...rows));
+        this._indexRows(rows);
+        this._requestedPages.delete(page);
+        this._missingPages.delete(page);
+        
+        const changed = new Set([...rows, ...(this._isWindowedPaging() ? this._evictPages() : [])]);
+        if (fresh) {
+            this.render();
+        } else {
+            this._preserveScrollAnchor(() => this._applyRowChanges(changed));
+        }
+    }
+
+    // Replaces the pages farthest from the one in view with placeholders until maxPages are loaded.
+    // Returns the placeholder rows
+    _evictPages() {
+        const resident = [];
+        for (let page = 1; page <= this._getLoadedPageCount(); page++) {
+            if (this._isPageResident(page)) resident.push(page);
+        }
+        const evicted = resident
+            .sort((a, b) => Math.abs(b - this._currentPage) - Math.abs(a - this._currentPage))
+            .slice(0, Math.max(0, resident.length - this._maxPages))
+            .sort((a, b) => a - b);
+        
+        const placeholders = [];
+        evicted.forEach(page => {
+            const start = (page - 1) * this._pageSize;
+            const end = Math.min(start + this._pageSize, this._rows.length);
+            for (let i = start; i < end; i++) {
+                this._unindexRows([this._rows[i]]);
+                this._rows[i] = this._createPlaceholderRow(page);
+                placeholders.push(this._rows[i]);
+            }
+            this._loadedPages.delete(page);
+        });
+        
+        if (evicted.length) this._dispatchEvent('pageEvict', { pages: evicted });
+        return placeholders;
+    }
+
+    // Fires swivel:pageMissing once for each page whose placeholders come into view
+    _reportMissingPages(start, end) {
+        const visible = new Set();
+        for (let i = start; i <= end; i++) {
+            const row = this._viewRows[i];
+            if (this._isPlaceholderRow(row)) visible.add(this._placeholderRows.get(row));
+        }
+        
+        // Pages that left the view are reported again when they come back
+        this._missingPages.forEach(page => {
+            if (!visible.has(page)) this._missingPages.delete(page);
+        });
+        visible.forEach(page => {
+            if (this._missingPages.has(page)) return;
+            this._missingPages.add(page);
+            this._dispatchEvent('pageMissing', { pageNumber: page, startIndex: (page - 1) * this._pageSize, pageSize: this._pageSize });
+        });
+    }
+
+    // Fetches evicted or missing pages in view, plus one page either side
+    _requestWindowPages(start, end) {
+        const first = Math.max(1, Math.ceil((start + 1) / this._pageSize) - 1);
+        const last = Math.min(this._getLoadedPageCount(), Math.ceil((end + 1) / this._pageSize) + 1);
+        
+        // Requests for pages that went out of reach are forgotten, so they're retried on the way back
+        this._requestedPages.forEach(page => {
+            if (page < first || page > last) this._requestedPages.delete(page);
+        });
+        
+        for (let page = first; page <= last; page++) {
+            if (this._isPageResident(page) || this._requestedPages.has(page)) continue;
+            if (this._dataSource) {
+                this._loadPage(page);
+            } else if (this._loadMoreCallback) {
+                this._requestedPages.add(page);
+                this._loadMoreCallback(page);
+            }
+        }
+    }
+
+    // Keeps the first visible item at the same offset in the viewport while items above it change height
+    _preserveScrollAnchor(update) {
+        const container = this._scrollContainer;
+        const selector = '[data-items] > [data-index]';
+        const top = container?.getBoundingClientRect().top;
+        const anchor = container
+            ? [...container.querySelectorAll(selector)].find(item => item.getBoundingClientRect().bottom > top)
+            : null;
+        const index = anchor?.dataset.index;
+        const offset = anchor?.getBoundingClientRect().top;
+        
+        update();
+        
+        const moved = index !== undefined && this._scrollContainer?.querySelector(`${selector}[data-index="${index}"]`);
+        if (moved) {
+            this._scrollContainer.scrollTop += moved.getBoundingClientRect().top - offset;
+        }
+    }
+
+    _getDataSourceParams() {
+        return { sort: this.sortModel, query: this._query, filters: this.filters };
+    }
+
+    _reloadDataSource() {
+        // In-flight pages belong to the old sort or search
+        this._pendingPages.forEach(request => request.controller.abort());
+        this._pendingPages.clear();
+        this._loadedPages.clear();
+        this._requestedPages.clear();
+        this._missingPages.clear();
+        this._dataGeneration++;
+        
+        this._currentPage = 1;
+        this._lastTriggeredPage = 0;
+        this._endReached = false;
+        
+        if (!this._dataSource) {
+            this.loading = false;
+            return;
+        }
+        // The current rows stay on screen until the first page of the new request arrives
+        this._loadPage(1);
+    }
+
+    async _loadPage(page) {
+        const source = this._dataSource;
+        if (!source || this._loadedPages.has(page)) return;
+        if (this._totalPages !== null && page > this._totalPages) return;
+        
+        // Concurrent requests for the same page share one fetch
+        if (this._pendingPages.has(page)) return this._pendingPages.get(page).promise;
+        
+        const params = this._getDataSourceParams();
+        const cacheKey = JSON.stringify({ ...params, page, pageSize: this._pageSize });
+        const cached = this._pageCache.get(cacheKey);
+        if (cached) {
+            this._applyDataSourcePage(page, cached);
+            return;
+        }
+        
+        const controller = new AbortController();
+        const generation = this._dataGeneration;
+        const request = { controller, promise: null };
+        
+        request.promise = (async () => {
+            try {
+                const result = await source.fetch({ page, pageSize: this._pageSize, ...params, signal: controller.signal });
+                
+                // Responses for an older sort, search or source arrive too late to use
+                if (generation !== this._dataGeneration) return;
+                
+                const response = {
+                    rows: Array.isArray(result?.rows) ? result.rows : [],
+                    totalRows: typeof result?.totalRows === 'number' ? result.totalRows : null
+                };
+                this._pageCache.delete(cacheKey);
+                this._pageCache.set(cacheKey, response);
+                if (this._pageCache.size > PAGE_CACHE_SIZE) {
+                    this._pageCache.delete(this._pageCache.keys().next().value);
+                }
+                this._applyDataSourcePage(page, response);
+            } catch (error) {
+                if (controller.signal.aborted || generation !== this._dataGeneration) return;
+                console.error(`SwivelGrid: Failed to load page ${page}:`, error);
+                this._dispatchEvent('dataError', { page, error });
+            } finally {
+                if (this._pendingPages.get(page) === request) {
+                    this._pendingPages.delete(page);
+                }
+                if (generation === this._dataGeneration) {
+                    this.loading = this._pendingPages.size > 0;
+                }
             }
+        })();
+        
+        this._pendingPages.set(page, request);
+        this.loading = true;
+        return request.promise;
+    }
+
+    _applyDataSourcePage(page, { rows, totalRows }) {
+        // Without a row count, a short page marks the end
+        if (totalRows !== null) {
+            this._totalPages = Math.max(1, Math.ceil(totalRows / this._pageSize));
+        } else if (rows.length < this._pageSize) {
+            this._totalPages = page;
+        }
+        
+        // The first page of a new request replaces whatever was shown before
+        if (!this._loadedPages.size) {
+            this._rows = [];
         }
+        this._loadedPages.add(page);
+        this.setPageData(rows, page);
+        this.loading = this._pendingPages.size > 0;
     }
 
     _processSchema(schema) {
@@ -1250,13 +6385,15 @@ class SwivelGrid extends HTMLElement {
         return schema.map(col => {
             const processedCol = { ...col };
             
-            // Sanitize templates if provided
-            if (processedCol.headerTemplate) {
-                processedCol.headerTemplate = this._sanitizeTemplate(processedCol.headerTemplate);
-            }
-            if (processedCol.cellTemplate) {
-                processedCol.cellTemplate = this._sanitizeTemplate(processedCol.cellTemplate);
+            // Sanitize templates if provided, keeping the originals for a later sanitizerConfig change
+            const sources = {};
+            for (const kind of ['headerTemplate', 'cellTemplate']) {
+                if (!processedCol[kind]) continue;
+                sources[kind] = processedCol[kind];
+                processedCol[kind] = this._sanitizeTemplate(processedCol[kind], processedCol, kind);
             }
+            this._templateSources.set(processedCol, sources);
+            this._compileColumnTemplates(processedCol);
             
             return processedCol;
         });